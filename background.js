@@ -1,242 +1,1999 @@
 // asbplayer Subtitle Streamer - Background Service Worker
 // Manages multi-transport connections (WebSocket, HTTP, Native Messaging)
 
+// Request templates and rule matching, shared with the popup
+importScripts('shared.js');
+
 const VERSION = '1.0.0';
 
+// Wire protocol. Version 1 is the original 1.0.0 payload without the fields
+// added since; receivers pick a version in their `hello` reply.
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_PROTOCOLS = [1, 2];
+
+// Optional features a receiver can opt in to with `capabilities`
+const CAPABILITIES = ['subtitle_end', 'segments', 'session', 'playback', 'commands', 'media', 'mine'];
+
+// Message types and the capability that enables them
+const CAPABILITY_TYPES = {
+  subtitle_end: 'subtitle_end',
+  session_start: 'session',
+  session_end: 'session',
+  playback: 'playback',
+  cue_media: 'media',
+  mine: 'mine'
+};
+
+// The only message types version 1 receivers know about
+const LEGACY_TYPES = ['subtitle', 'connected', 'heartbeat', 'disconnected', 'command_result', 'hello_ack'];
+
+// Custom HTTP request for webhook-style endpoints, off until enabled per destination
+const DEFAULT_TEMPLATE = {
+  enabled: false,
+  method: 'POST', // 'POST', 'PUT', 'PATCH', 'GET'
+  contentType: 'application/json',
+  headers: '', // One "Name: value" per line
+  body: '{"content": "{{text}}"}'
+};
+
 // State
 let settings = {
   enabled: true,
-  transportType: 'websocket', // 'websocket', 'http', 'native'
-  wsUrl: 'ws://localhost:8767',  // Port 8767 to avoid conflict with AnkiConnect (8765)
-  httpUrl: 'http://localhost:8080/subtitle',
-  nativeHost: 'com.subtitle.streamer'
+  // Each destination connects and reconnects on its own
+  destinations: [
+    {
+      id: 'default',
+      name: 'WebSocket',
+      type: 'websocket', // 'websocket', 'http', 'native'
+      enabled: true,
+      url: 'ws://localhost:8767',  // Port 8767 to avoid conflict with AnkiConnect (8765)
+      host: '',
+      protocol: 'auto', // 'auto' negotiates, or a fixed version: '1', '2'
+      secret: '', // Shared secret for WebSocket/HTTP receivers, '' = no auth
+      signPayloads: false, // Add an HMAC-SHA256 signature of each payload
+      batchMs: 0, // HTTP only: POST arrays of messages collected for this long, 0 = no batching
+      batchSize: 20, // HTTP only: most messages per batch
+      maxWaiting: 50, // HTTP only: messages waiting to be sent before the oldest are dropped
+      template: { ...DEFAULT_TEMPLATE }, // HTTP only: send subtitles as a custom request
+      mediaScreenshot: false, // Send a video frame of each cue in cue_media messages
+      mediaAudio: false, // Send an audio clip of each cue in cue_media messages
+      mediaMaxKB: 512, // Screenshots or clips larger than this are left out
+      enrichLines: false // Add word boundaries and the detected script to each line
+    }
+  ],
+  // Bounds for messages held while a destination is unreachable, 0 = no limit
+  queueMaxSize: 500,
+  queueMaxAgeMinutes: 30,
+  // Interval for playback timeupdate heartbeats from the content script, 0 = off
+  playbackHeartbeatMs: 0,
+  // Where the content script reads subtitles, highest priority first:
+  // 'asbplayer' overlay, the video's 'textTracks', or players' own 'captions'
+  subtitleSources: ['asbplayer', 'textTracks', 'captions'],
+  // Which tabs may stream: 'all', 'active' or 'pinned'
+  streamScope: 'all',
+  // Sites the content script runs on: 'all', 'allowlist' or 'denylist'
+  siteMode: 'all',
+  siteAllowlist: [],
+  siteDenylist: [],
+  // Number of sessions kept in the subtitle history, 0 = don't record
+  historyMaxSessions: 20,
+  // Whether ruby readings are written into line text
+  rubyInText: false,
+  // Neighbouring cues sent in each subtitle's `context`: how many before and after
+  contextBefore: 0,
+  contextAfter: 0,
+  // Routing rules: each line of a cue goes to the destinations of every enabled
+  // rule it matches. Without enabled rules every line goes to every destination.
+  rules: [],
+  // WebSocket/native reconnects: attempts before giving up (0 = never give up),
+  // longest wait between attempts, and whether to randomize the waits
+  reconnectMaxAttempts: 0,
+  reconnectMaxDelaySeconds: 30,
+  reconnectJitter: true
 };
 
-let transport = null;
-let connectionStatus = 'disconnected'; // 'connected', 'disconnected', 'connecting'
+// Settings keys used before destinations existed
+const LEGACY_SETTINGS = ['transportType', 'wsUrl', 'httpUrl', 'nativeHost'];
+
+// Active transports keyed by destination id
+const transports = new Map();
+// Outbound queues keyed by destination id
+const queues = new Map();
+
+// Message types that are queued and replayed instead of dropped
+const QUEUED_TYPES = ['subtitle', 'subtitle_end', 'session_start', 'session_end', 'mine'];
+
+let connectionStatus = 'disconnected'; // 'connected', 'degraded', 'disconnected', 'connecting', 'auth_failed'
+
+// Tab/frame that last reported subtitles, used as the default command target
+let lastVideoTarget = null;
+
+// Popup ports that receive live subtitle updates
+const livePorts = new Set();
+const RECENT_CUES_LIMIT = 50;
+let liveCue = null;
+const recentCues = [];
+
+// Video sessions keyed by `${tabId}:${frameId}`
+const sessions = new Map();
+
+// Tab used by the 'active' and 'pinned' stream scopes
+let activeTabId = null;
+let pinnedTab = null; // { id, title }
+
+// Commands a receiver may send to control playback
+const PLAYBACK_COMMANDS = ['play', 'pause', 'seek', 'replayCurrentCue', 'setPlaybackRate', 'getState'];
+
+// Chrome stops the service worker when it is idle and starts it again for the
+// next event, so every listener restores settings and state before using them
+let initializing = null;
+
+// Wakes the worker up periodically to revive destinations
+const KEEP_ALIVE_ALARM = 'keepAlive';
 
 // Initialize
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[SubtitleStreamer] Extension installed');
-  loadSettings();
+  ensureInitialized();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   console.log('[SubtitleStreamer] Extension started');
-  loadSettings();
+  ensureInitialized();
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === KEEP_ALIVE_ALARM) {
+    ensureInitialized().then(reviveTransports);
+  }
+});
+
+// Follow the focused tab for the 'active' stream scope
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  ensureInitialized().then(() => {
+    activeTabId = tabId;
+    scheduleStateSave();
+  });
+});
+
+chrome.windows.onFocusChanged.addListener(windowId => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    ensureInitialized().then(refreshActiveTab);
+  }
+});
+
+// Keyboard shortcuts from the manifest's commands
+chrome.commands.onCommand.addListener(command => {
+  ensureInitialized().then(() => handleShortcut(command));
+});
+
+// Popup live view subscribes through a port
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== 'live') {
+    return;
+  }
+
+  livePorts.add(port);
+  port.onDisconnect.addListener(() => livePorts.delete(port));
+  ensureInitialized().then(() => port.postMessage(getLiveState()));
 });
 
+// End sessions when their tab navigates or closes
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    ensureInitialized().then(() => endTabSessions(tabId, 'navigated'));
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  ensureInitialized().then(() => {
+    endTabSessions(tabId, 'closed');
+
+    if (lastVideoTarget && lastVideoTarget.tabId === tabId) {
+      lastVideoTarget = null;
+      scheduleStateSave();
+    }
+    if (pinnedTab && pinnedTab.id === tabId) {
+      setPinnedTab(null);
+    }
+  });
+});
+
+// Load settings and state once per worker start
+function ensureInitialized() {
+  if (!initializing) {
+    initializing = loadSettings();
+  }
+  return initializing;
+}
+
 // Load settings
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get(settings);
-    settings = { ...settings, ...result };
-    console.log('[SubtitleStreamer] Settings loaded:', settings);
+    const result = await readSettings(null);
+    settings = { ...settings, ...migrateSettings(result) };
+    console.log('[SubtitleStreamer] Settings loaded');
+
+    // Move secrets synced by older versions to local storage
+    if (await hasSyncedSecrets()) {
+      await saveSettings();
+    }
+
+    await restoreRuntimeState();
+    await refreshActiveTab();
+
+    if (!(await chrome.alarms.get(KEEP_ALIVE_ALARM))) {
+      chrome.alarms.create(KEEP_ALIVE_ALARM, { periodInMinutes: 0.5 });
+    }
 
     if (settings.enabled) {
-      connectTransport();
+      connectAll();
     }
   } catch (error) {
     console.error('[SubtitleStreamer] Error loading settings:', error);
   }
 }
 
+// Turn the single-transport settings of older versions into a destination
+function migrateSettings(stored) {
+  if (stored.destinations || !stored.transportType) {
+    return stored;
+  }
+
+  const migrated = { ...stored };
+  LEGACY_SETTINGS.forEach(key => delete migrated[key]);
+
+  const type = stored.transportType;
+  migrated.destinations = [{
+    id: 'default',
+    name: { websocket: 'WebSocket', http: 'HTTP', native: 'Native' }[type] || type,
+    type: type,
+    enabled: true,
+    url: type === 'http' ? stored.httpUrl : (stored.wsUrl || ''),
+    host: stored.nativeHost || '',
+    protocol: '1', // Receivers written for these settings never send a hello
+    secret: '',
+    signPayloads: false,
+    batchMs: 0,
+    batchSize: 20,
+    maxWaiting: 50,
+    template: { ...DEFAULT_TEMPLATE },
+    mediaScreenshot: false,
+    mediaAudio: false,
+    mediaMaxKB: 512,
+    enrichLines: false
+  }];
+
+  console.log('[SubtitleStreamer] Migrated legacy transport settings');
+  chrome.storage.sync.remove(LEGACY_SETTINGS);
+  chrome.storage.sync.set({ destinations: migrated.destinations });
+  return migrated;
+}
+
+// Whether synced destinations still hold secrets saved by an older version
+async function hasSyncedSecrets() {
+  const { destinations } = await chrome.storage.sync.get('destinations');
+  return (destinations || []).some(destination => destination.secret);
+}
+
 // Save settings
 async function saveSettings() {
   try {
-    await chrome.storage.sync.set(settings);
+    await writeSettings(settings);
     console.log('[SubtitleStreamer] Settings saved');
   } catch (error) {
     console.error('[SubtitleStreamer] Error saving settings:', error);
   }
 }
 
-// Listen for messages from content script
+// Messages from content scripts, which don't wait for a response
+const CONTENT_MESSAGES = ['subtitle', 'subtitle_end', 'playback', 'cue_media'];
+
+// Messages handleMessage answers, from the popup and content scripts
+const RESPONSE_MESSAGES = [
+  'getStatus', 'getHistory', 'getHistorySession', 'clearHistory', 'seekCue',
+  'pinTab', 'updateSettings', 'testConnection', 'captureFrame'
+];
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'subtitle') {
-    handleSubtitle(message);
+  ensureInitialized().then(() => handleMessage(message, sender, sendResponse));
+
+  // Keep the channel open only for messages that get a response
+  return RESPONSE_MESSAGES.includes(message.type);
+});
+
+// Handle a message once settings and state are loaded
+function handleMessage(message, sender, sendResponse) {
+  if (CONTENT_MESSAGES.includes(message.type)) {
+    handleContentMessage(message, sender);
   } else if (message.type === 'getStatus') {
     sendResponse({
       status: connectionStatus,
+      destinations: getDestinationStatus(),
+      pinnedTab: pinnedTab,
       settings: settings
     });
+  } else if (message.type === 'getHistory') {
+    queueHistoryTask(getHistoryIndex).then(index => sendResponse({ sessions: index || [] }));
+  } else if (message.type === 'getHistorySession') {
+    queueHistoryTask(() => getHistorySession(message.id)).then(result => sendResponse(result));
+  } else if (message.type === 'clearHistory') {
+    clearHistory().then(() => sendResponse({ success: true }));
+  } else if (message.type === 'seekCue') {
+    executeCommand({
+      command: 'seek',
+      tabId: message.tabId,
+      frameId: message.frameId,
+      params: { time: message.time }
+    }).then(result => sendResponse(result));
+  } else if (message.type === 'pinTab') {
+    setPinnedTab(message.tab);
+    sendResponse({ success: true });
   } else if (message.type === 'updateSettings') {
     updateSettings(message.settings);
     sendResponse({ success: true });
   } else if (message.type === 'testConnection') {
     testConnection().then(result => sendResponse(result));
-    return true; // Keep channel open for async response
+  } else if (message.type === 'captureFrame') {
+    captureFrame(sender, message).then(result => sendResponse(result));
   }
-});
+}
 
 // Update settings
 function updateSettings(newSettings) {
-  const needsReconnect =
-    settings.transportType !== newSettings.transportType ||
-    settings.wsUrl !== newSettings.wsUrl ||
-    settings.httpUrl !== newSettings.httpUrl ||
-    settings.nativeHost !== newSettings.nativeHost ||
-    settings.enabled !== newSettings.enabled;
-
+  const previous = settings;
   settings = { ...settings, ...newSettings };
   saveSettings();
 
-  if (needsReconnect) {
-    disconnectTransport();
-    if (settings.enabled) {
-      connectTransport();
+  if (!settings.enabled) {
+    disconnectAll();
+    return;
+  }
+
+  // Only touch destinations whose connection settings changed or that gave up
+  const previousById = new Map(previous.destinations.map(d => [d.id, d]));
+  const currentIds = new Set(settings.destinations.map(d => d.id));
+
+  for (const destination of previous.destinations) {
+    if (!currentIds.has(destination.id)) {
+      disconnectTransport(destination.id);
+      getQueue(destination.id).clear();
+    }
+  }
+
+  for (const destination of settings.destinations) {
+    const changed = !previous.enabled ||
+      !transports.has(destination.id) ||
+      transports.get(destination.id).gaveUp() ||
+      connectionKey(previousById.get(destination.id)) !== connectionKey(destination);
+
+    if (!destination.enabled) {
+      disconnectTransport(destination.id);
+    } else if (changed) {
+      connectTransport(destination);
+    } else {
+      transports.get(destination.id).applySettings(destination);
     }
   }
+
+  updateBadge();
+}
+
+// Fields that require a reconnect when they change. The rest (name, batching,
+// template, media, enrichment) are applied to the live transport.
+function connectionKey(destination) {
+  if (!destination) {
+    return '';
+  }
+  return JSON.stringify([
+    destination.type,
+    destination.url,
+    destination.host,
+    destination.enabled,
+    destination.protocol,
+    destination.secret,
+    destination.signPayloads
+  ]);
+}
+
+// Connect every enabled destination
+function connectAll() {
+  settings.destinations
+    .filter(destination => destination.enabled)
+    .forEach(destination => connectTransport(destination));
+  updateBadge();
+}
+
+// Disconnect every destination
+function disconnectAll() {
+  for (const id of Array.from(transports.keys())) {
+    disconnectTransport(id);
+  }
+  updateBadge();
 }
 
-// Connect transport
-function connectTransport() {
-  disconnectTransport();
+// Connect transport for a single destination
+function connectTransport(destination) {
+  disconnectTransport(destination.id);
 
-  console.log(`[SubtitleStreamer] Connecting via ${settings.transportType}...`);
+  console.log(`[SubtitleStreamer] Connecting ${destination.name} via ${destination.type}...`);
 
-  switch (settings.transportType) {
+  let transport;
+  switch (destination.type) {
     case 'websocket':
-      transport = new WebSocketTransport(settings.wsUrl);
+      transport = new WebSocketTransport(destination);
       break;
     case 'http':
-      transport = new HttpTransport(settings.httpUrl);
+      transport = new HttpTransport(destination);
       break;
     case 'native':
-      transport = new NativeTransport(settings.nativeHost);
+      transport = new NativeTransport(destination);
       break;
     default:
-      console.error('[SubtitleStreamer] Unknown transport type:', settings.transportType);
+      console.error('[SubtitleStreamer] Unknown transport type:', destination.type);
       return;
   }
 
+  transports.set(destination.id, transport);
   transport.connect();
 }
 
-// Disconnect transport
-function disconnectTransport() {
-  if (transport) {
-    transport.disconnect();
-    transport = null;
+// Disconnect transport for a single destination
+function disconnectTransport(id) {
+  const transport = transports.get(id);
+  if (transport) {
+    transports.delete(id);
+    transport.disconnect();
+  }
+  updateBadge();
+}
+
+// Stamp a content script message with its tab/session and route it
+function handleContentMessage(message, sender) {
+  if (!settings.enabled || !sender.tab || !isStreamedTab(sender.tab.id)) {
+    return;
+  }
+
+  const session = resolveSession(message, sender);
+  const stamped = { ...message, session: describeSession(session) };
+
+  if (message.type === 'playback') {
+    handlePlayback(stamped);
+  } else if (message.type === 'cue_media') {
+    // Media isn't kept in history or queued, it's only useful live
+    broadcast(stamped);
+  } else {
+    lastVideoTarget = { tabId: sender.tab.id, frameId: sender.frameId };
+    handleSubtitle(stamped);
+  }
+  scheduleStateSave();
+}
+
+// Whether a tab passes the configured stream scope
+function isStreamedTab(tabId) {
+  switch (settings.streamScope) {
+    case 'active':
+      return tabId === activeTabId;
+    case 'pinned':
+      return pinnedTab !== null && tabId === pinnedTab.id;
+    default:
+      return true;
+  }
+}
+
+// Remember the active tab of the focused window
+async function refreshActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tab) {
+      activeTabId = tab.id;
+      scheduleStateSave();
+    }
+  } catch (error) {
+    console.error('[SubtitleStreamer] Error finding active tab:', error);
+  }
+}
+
+// Pin a tab for the 'pinned' stream scope, or clear the pin with null
+function setPinnedTab(tab) {
+  pinnedTab = tab ? { id: tab.id, title: tab.title || '' } : null;
+  chrome.storage.session.set({ pinnedTab });
+  console.log('[SubtitleStreamer] Pinned tab:', pinnedTab);
+}
+
+// Find the session for a message, starting a new one when the video changed
+function resolveSession(message, sender) {
+  const key = `${sender.tab.id}:${sender.frameId}`;
+  const url = message.video ? message.video.url : '';
+  let session = sessions.get(key);
+
+  if (session && message.type === 'playback' && message.event === 'sourcechange') {
+    endSession(session, 'sourcechange');
+    session = null;
+  } else if (session && session.url !== url) {
+    endSession(session, 'navigated');
+    session = null;
+  }
+
+  if (!session) {
+    session = {
+      id: crypto.randomUUID(),
+      key: key,
+      tabId: sender.tab.id,
+      frameId: sender.frameId,
+      url: url,
+      title: sender.tab.title || '',
+      startedAt: Date.now()
+    };
+    sessions.set(key, session);
+
+    console.log('[SubtitleStreamer] Session started:', session.id, session.title);
+    broadcast({
+      type: 'session_start',
+      timestamp: session.startedAt,
+      session: describeSession(session),
+      video: message.video
+    });
+  }
+
+  // Titles change on single-page apps, keep the latest
+  session.title = sender.tab.title || session.title;
+  return session;
+}
+
+// Close a session and tell receivers
+function endSession(session, reason) {
+  sessions.delete(session.key);
+  scheduleStateSave();
+  console.log(`[SubtitleStreamer] Session ended (${reason}):`, session.id);
+  endHistorySession(session.id);
+
+  if (!settings.enabled) {
+    return;
+  }
+
+  broadcast({
+    type: 'session_end',
+    timestamp: Date.now(),
+    reason: reason, // 'navigated', 'sourcechange' or 'closed'
+    session: describeSession(session)
+  });
+}
+
+// End every session that belongs to a tab
+function endTabSessions(tabId, reason) {
+  for (const session of Array.from(sessions.values())) {
+    if (session.tabId === tabId) {
+      endSession(session, reason);
+    }
+  }
+}
+
+// Session identity included in every message
+function describeSession(session) {
+  return {
+    id: session.id,
+    tabId: session.tabId,
+    frameId: session.frameId,
+    title: session.title,
+    url: session.url,
+    startedAt: session.startedAt
+  };
+}
+
+// Handle subtitle from content script
+function handleSubtitle(message) {
+  if (!settings.enabled) {
+    return;
+  }
+
+  recordHistory(message);
+  updateLiveView(message);
+  broadcast(message);
+}
+
+// Track the cue on screen and recent cues for the popup
+function updateLiveView(message) {
+  const { subtitle, session } = message;
+
+  if (message.type === 'subtitle') {
+    liveCue = {
+      sessionId: session.id,
+      tabId: session.tabId,
+      frameId: session.frameId,
+      title: session.title,
+      start: subtitle.start,
+      end: subtitle.end,
+      text: subtitle.text,
+      lines: subtitle.lines.map(line => ({ text: line.text, track: line.track }))
+    };
+
+    recentCues.push(liveCue);
+    if (recentCues.length > RECENT_CUES_LIMIT) {
+      recentCues.shift();
+    }
+  } else if (message.type === 'subtitle_end') {
+    const cue = recentCues.slice().reverse().find(item =>
+      item.sessionId === session.id && item.start === subtitle.start && item.text === subtitle.text
+    );
+    if (cue) {
+      cue.end = subtitle.end;
+    }
+    if (cue === liveCue) {
+      liveCue = null;
+    }
+  }
+
+  const state = getLiveState();
+  livePorts.forEach(port => port.postMessage(state));
+}
+
+function getLiveState() {
+  return { current: liveCue, recent: recentCues };
+}
+
+// Handle playback event from content script
+function handlePlayback(message) {
+  if (!settings.enabled) {
+    return;
+  }
+
+  broadcast(message);
+}
+
+// Send a message to every destination, as the routing rules split it
+function broadcast(message) {
+  for (const [id, transport] of transports) {
+    for (const routed of routeMessage(message, id)) {
+      // Everything goes through the queue so messages keep their order; only
+      // QUEUED_TYPES are stored and replayed, the rest are dropped if undelivered
+      const live = !QUEUED_TYPES.includes(routed.type);
+      getQueue(id).push(routed, live).then(queue => queue.flush(transport));
+    }
+  }
+}
+
+// Get or create the outbound queue for a destination
+function getQueue(id) {
+  if (!queues.has(id)) {
+    queues.set(id, new OutboundQueue(id));
+  }
+  return queues.get(id);
+}
+
+// Replay anything held for a destination once its transport can deliver
+function flushQueue(transport) {
+  getQueue(transport.destination.id).flush(transport);
+}
+
+// Per-destination status for the popup
+function getDestinationStatus() {
+  return settings.destinations.map(destination => {
+    const transport = transports.get(destination.id);
+    return {
+      id: destination.id,
+      name: destination.name,
+      type: destination.type,
+      status: transport ? transport.status : 'disabled'
+    };
+  });
+}
+
+// Handle a message sent by a receiver over a transport
+function handleReceiverMessage(message, source) {
+  if (!message || typeof message !== 'object') {
+    source.send(commandError(null, null, 'invalid_message', 'Message must be a JSON object'));
+    return;
+  }
+
+  if (message.type === 'command') {
+    executeCommand(message).then(reply => source.send(reply));
+  } else if (message.type === 'hello') {
+    source.negotiate(message);
+  } else {
+    console.log('[SubtitleStreamer] Ignoring receiver message:', message.type);
+  }
+}
+
+// Forward a receiver command to the content script that owns the video
+async function executeCommand(command) {
+  const id = command.id !== undefined ? command.id : null;
+  const name = command.command;
+
+  if (!PLAYBACK_COMMANDS.includes(name)) {
+    return commandError(id, name, 'unknown_command', `Unknown command: ${name}`);
+  }
+
+  const target = await resolveCommandTarget(command.tabId, command.frameId);
+  if (!target) {
+    return commandError(id, name, 'no_target', 'No tab is available to receive the command');
+  }
+
+  const options = target.frameId !== undefined ? { frameId: target.frameId } : {};
+
+  try {
+    const response = await chrome.tabs.sendMessage(target.tabId, {
+      type: 'command',
+      command: name,
+      params: command.params || {}
+    }, options);
+
+    // Only frames with a video answer, so silence means there is none
+    if (!response) {
+      return commandError(id, name, 'no_video', `No video found in tab ${target.tabId}`);
+    }
+
+    if (!response.ok) {
+      return commandError(id, name, response.error.code, response.error.message);
+    }
+
+    return {
+      type: 'command_result',
+      id: id,
+      command: name,
+      ok: true,
+      tabId: target.tabId,
+      result: response.result,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    if (error.message && error.message.includes('message port closed')) {
+      return commandError(id, name, 'no_video', `No video found in tab ${target.tabId}`);
+    }
+    return commandError(id, name, 'tab_unreachable', error.message);
+  }
+}
+
+// Pick the tab for a command: explicit tabId, last subtitle source, then the active tab
+async function resolveCommandTarget(tabId, frameId) {
+  if (typeof tabId === 'number') {
+    if (typeof frameId === 'number') {
+      return { tabId, frameId };
+    }
+    if (lastVideoTarget && lastVideoTarget.tabId === tabId) {
+      return lastVideoTarget;
+    }
+    return { tabId };
+  }
+
+  if (lastVideoTarget) {
+    return lastVideoTarget;
+  }
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab ? { tabId: tab.id } : null;
+}
+
+// Build an error reply for a receiver command
+function commandError(id, command, code, message) {
+  return {
+    type: 'command_result',
+    id: id,
+    command: command,
+    ok: false,
+    error: { code, message },
+    timestamp: Date.now()
+  };
+}
+
+// Test connection
+async function testConnection() {
+  // Reconnect every enabled destination, which also resets reconnect attempts
+  console.log('[SubtitleStreamer] Reconnecting all destinations (manual test)');
+  disconnectAll();
+  connectAll();
+
+  // Wait a bit for connection
+  await new Promise(resolve => setTimeout(resolve, 1000));
+
+  const destinations = getDestinationStatus().filter(d => d.status !== 'disabled');
+  return {
+    success: destinations.length > 0 && destinations.every(d => d.status === 'connected'),
+    status: connectionStatus,
+    destinations: destinations
+  };
+}
+
+// Update badge from the combined status of all transports
+function updateBadge() {
+  const statuses = Array.from(transports.values()).map(t => t.status);
+  const connected = statuses.filter(status => status === 'connected').length;
+
+  if (statuses.includes('auth_failed')) {
+    connectionStatus = 'auth_failed'; // Needs the user to fix the secret, so it wins
+  } else if (statuses.length > 0 && connected === statuses.length) {
+    connectionStatus = 'connected';
+  } else if (connected > 0) {
+    connectionStatus = 'degraded';
+  } else if (statuses.includes('connecting')) {
+    connectionStatus = 'connecting';
+  } else {
+    connectionStatus = 'disconnected';
+  }
+
+  // A shortcut result is on the badge, the status comes back after it
+  if (badgeFlashTimeout) {
+    return;
+  }
+
+  const colors = {
+    connected: '#00FF00',
+    degraded: '#FF9900',
+    disconnected: '#FF0000',
+    connecting: '#FFFF00',
+    auth_failed: '#A142F4'
+  };
+
+  const texts = {
+    connected: '●',
+    degraded: '◐',
+    disconnected: '○',
+    connecting: '◌',
+    auth_failed: '!'
+  };
+
+  chrome.action.setBadgeBackgroundColor({ color: colors[connectionStatus] || '#888888' });
+  chrome.action.setBadgeText({ text: texts[connectionStatus] || '' });
+}
+
+// ==================== Keyboard Shortcuts ====================
+
+const BADGE_FLASH_MS = 1500;
+const SHORTCUT_OK_COLOR = '#1A73E8';
+const SHORTCUT_FAILED_COLOR = '#FF0000';
+let badgeFlashTimeout = null;
+
+// Run a shortcut from the manifest's commands
+async function handleShortcut(command) {
+  console.log('[SubtitleStreamer] Shortcut:', command);
+
+  switch (command) {
+    case 'toggle-streaming':
+      updateSettings({ enabled: !settings.enabled });
+      flashBadge(settings.enabled ? 'ON' : 'OFF', settings.enabled ? SHORTCUT_OK_COLOR : '#888888');
+      break;
+
+    case 'mine-subtitle':
+      await sendCurrentCue('mine', 'MINE');
+      break;
+
+    case 'resend-subtitle':
+      await sendCurrentCue('subtitle', 'SENT');
+      break;
+
+    case 'replay-cue': {
+      const result = await executeCommand({ command: 'replayCurrentCue' });
+      if (result.ok) {
+        flashBadge('↺', SHORTCUT_OK_COLOR);
+      } else {
+        console.log('[SubtitleStreamer] Replay failed:', result.error.message);
+        flashBadge('✕', SHORTCUT_FAILED_COLOR);
+      }
+      break;
+    }
+
+    default:
+      console.warn('[SubtitleStreamer] Unknown shortcut:', command);
+  }
+}
+
+// Send the cue on screen, or the last one, as a `mine` message or a resent subtitle
+async function sendCurrentCue(type, badgeText) {
+  if (!settings.enabled) {
+    flashBadge('OFF', '#888888');
+    return;
+  }
+
+  const state = await executeCommand({ command: 'getState' });
+  if (!state.ok || !state.result.subtitle || !isStreamedTab(state.tabId)) {
+    console.log('[SubtitleStreamer] No subtitle to send:', state.ok ? 'none shown in a streamed tab' : state.error.message);
+    flashBadge('✕', SHORTCUT_FAILED_COLOR);
+    return;
+  }
+
+  const { subtitle, ...video } = state.result;
+  const message = {
+    type: type,
+    timestamp: Date.now(),
+    source: subtitle.source,
+    video: video,
+    subtitle: { text: subtitle.text, lines: subtitle.lines, start: subtitle.start, end: subtitle.end }
+  };
+  if (type === 'subtitle') {
+    message.resent = true;
+  }
+
+  const session = findTabSession(state.tabId);
+  if (session) {
+    message.session = describeSession(session);
+  }
+
+  broadcast(message);
+  flashBadge(badgeText, SHORTCUT_OK_COLOR);
+}
+
+// Session of a tab, preferring the frame that last sent subtitles
+function findTabSession(tabId) {
+  if (lastVideoTarget && lastVideoTarget.tabId === tabId) {
+    const session = sessions.get(`${tabId}:${lastVideoTarget.frameId}`);
+    if (session) {
+      return session;
+    }
+  }
+  return Array.from(sessions.values()).find(session => session.tabId === tabId) || null;
+}
+
+// Show a short result on the badge, then go back to the connection status
+function flashBadge(text, color) {
+  clearTimeout(badgeFlashTimeout);
+  chrome.action.setBadgeBackgroundColor({ color: color });
+  chrome.action.setBadgeText({ text: text });
+
+  badgeFlashTimeout = setTimeout(() => {
+    badgeFlashTimeout = null;
+    updateBadge();
+  }, BADGE_FLASH_MS);
+}
+
+// ==================== Runtime State ====================
+
+// Sessions, the command target and the live view are kept in session storage,
+// so a restarted worker carries on where the stopped one left off
+const RUNTIME_STATE_KEY = 'runtimeState';
+const STATE_SAVE_DELAY_MS = 500;
+let stateSaveTimeout = null;
+
+// Save state soon, batching quick changes into one write
+function scheduleStateSave() {
+  if (stateSaveTimeout) {
+    return;
+  }
+  stateSaveTimeout = setTimeout(() => {
+    stateSaveTimeout = null;
+    saveRuntimeState();
+  }, STATE_SAVE_DELAY_MS);
+}
+
+async function saveRuntimeState() {
+  try {
+    await chrome.storage.session.set({
+      [RUNTIME_STATE_KEY]: {
+        sessions: Array.from(sessions.values()),
+        lastVideoTarget,
+        activeTabId,
+        recentCues,
+        liveCueIndex: recentCues.indexOf(liveCue)
+      }
+    });
+  } catch (error) {
+    console.error('[SubtitleStreamer] Error saving runtime state:', error);
+  }
+}
+
+async function restoreRuntimeState() {
+  const result = await chrome.storage.session.get([RUNTIME_STATE_KEY, 'pinnedTab']);
+  pinnedTab = result.pinnedTab || null;
+
+  const state = result[RUNTIME_STATE_KEY];
+  if (!state) {
+    return;
+  }
+
+  state.sessions.forEach(session => sessions.set(session.key, session));
+  lastVideoTarget = state.lastVideoTarget;
+  activeTabId = state.activeTabId;
+  recentCues.push(...state.recentCues);
+  liveCue = state.liveCueIndex >= 0 ? recentCues[state.liveCueIndex] : null;
+
+  console.log(`[SubtitleStreamer] Restored ${sessions.size} sessions after a restart`);
+}
+
+// Reconnect destinations that gave up, and retry what is still queued
+function reviveTransports() {
+  if (!settings.enabled) {
+    return;
+  }
+  transports.forEach(transport => transport.revive());
+}
+
+// ==================== Protocol ====================
+
+// First message on every connection, advertising what we can send
+function createConnectedMessage(transport) {
+  return {
+    type: 'connected',
+    timestamp: Date.now(),
+    version: VERSION,
+    protocol: transport.protocol,
+    supportedProtocols: SUPPORTED_PROTOCOLS,
+    capabilities: CAPABILITIES
+  };
+}
+
+// Shape a message for the negotiated protocol, or null to skip it
+function encodeMessage(message, protocol, capabilities) {
+  if (protocol === 1) {
+    return toLegacyMessage(message);
+  }
+
+  const capability = CAPABILITY_TYPES[message.type];
+  if (capabilities && capability && !capabilities.includes(capability)) {
+    return null;
+  }
+
+  const encoded = { ...message, protocol };
+  if (capabilities && !capabilities.includes('session')) {
+    delete encoded.session;
+  }
+  if (capabilities && !capabilities.includes('segments') && message.subtitle) {
+    encoded.subtitle = {
+      ...message.subtitle,
+      lines: message.subtitle.lines.map(({ segments, ...line }) => line)
+    };
+  }
+  return encoded;
+}
+
+// Version 1 payload: text, lines and an estimated end, nothing else
+function toLegacyMessage(message) {
+  if (!LEGACY_TYPES.includes(message.type)) {
+    return null;
+  }
+
+  if (message.type === 'connected') {
+    return { type: 'connected', timestamp: message.timestamp, version: message.version };
+  }
+
+  if (message.type !== 'subtitle') {
+    return message;
+  }
+
+  const { video, subtitle } = message;
+  return {
+    type: 'subtitle',
+    timestamp: message.timestamp,
+    video: {
+      currentTime: video.currentTime,
+      duration: video.duration,
+      paused: video.paused,
+      url: video.url
+    },
+    subtitle: {
+      text: subtitle.text,
+      lines: subtitle.lines.map(line => ({ text: line.text, track: line.track })),
+      start: subtitle.start,
+      end: subtitle.end !== null ? subtitle.end : subtitle.start + 2000 // Estimate 2s duration
+    }
+  };
+}
+
+// ==================== Routing Rules ====================
+
+// Rules pick lines of subtitle, subtitle_end, cue_media and mine messages for
+// each destination. The matching itself is in shared.js.
+
+// Enabled rules with their patterns compiled, rebuilt when the rules change
+let compiledRules = null; // { source, rules }
+
+function getCompiledRules() {
+  if (!compiledRules || compiledRules.source !== settings.rules) {
+    compiledRules = {
+      source: settings.rules,
+      rules: (settings.rules || []).filter(rule => rule.enabled).map(rule => {
+        const compiled = compileRule(rule);
+        if (!compiled) {
+          console.warn(`[SubtitleStreamer] Skipping rule ${rule.name}, invalid pattern`);
+        }
+        return compiled;
+      }).filter(rule => rule)
+    };
+  }
+  return compiledRules.rules;
+}
+
+// Copies of a message for one destination: one per channel of the rules that
+// send it lines there, each with only those lines, in the subtitle and in its
+// context cues. Messages without a subtitle pass unchanged.
+function routeMessage(message, destinationId) {
+  if (!message.subtitle) {
+    return [message];
+  }
+  const rules = getCompiledRules();
+  if (rules.length === 0) {
+    return [message];
+  }
+
+  const channels = routeLines(message.subtitle.lines, rules, destinationId);
+  return Array.from(channels, ([channel, lines]) => {
+    const tracks = lines.map(line => line.track);
+    const routed = {
+      ...message,
+      subtitle: { ...message.subtitle, text: joinLines(lines), lines }
+    };
+    if (message.changedTracks) {
+      routed.changedTracks = message.changedTracks.filter(track => tracks.includes(track));
+    }
+    if (message.context) {
+      routed.context = {
+        previous: routeContextCues(message.context.previous, rules, destinationId, channel),
+        next: routeContextCues(message.context.next, rules, destinationId, channel)
+      };
+    }
+    if (channel) {
+      routed.channel = channel;
+    }
+    return routed;
+  });
+}
+
+// Lines the rules send to a destination, grouped by channel
+function routeLines(lines, rules, destinationId) {
+  const channels = new Map(); // channel -> lines
+  for (const line of lines) {
+    for (const rule of rules) {
+      const destinations = rule.destinations || [];
+      if (destinations.length > 0 && !destinations.includes(destinationId)) {
+        continue;
+      }
+      if (ruleMismatch(rule, line)) {
+        continue;
+      }
+
+      const channel = rule.channel || '';
+      if (!channels.has(channel)) {
+        channels.set(channel, []);
+      }
+      if (!channels.get(channel).includes(line)) {
+        channels.get(channel).push(line);
+      }
+    }
+  }
+  return channels;
+}
+
+// Context cues with only the lines routed to the same destination and
+// channel as the subtitle, leaving out cues with none
+function routeContextCues(cues, rules, destinationId, channel) {
+  return (cues || []).map(cue => {
+    const lines = routeLines(cue.lines, rules, destinationId).get(channel) || [];
+    return lines.length > 0 ? { ...cue, text: joinLines(lines), lines } : null;
+  }).filter(cue => cue);
+}
+
+function joinLines(lines) {
+  return lines.map(line => line.text).join('\n');
+}
+
+// ==================== Line Enrichment ====================
+
+// Word boundaries and script details for each line, so receivers don't have to
+// tokenize. Intl.Segmenter runs locally, nothing is looked up online.
+
+const ENRICHMENT_CACHE_LIMIT = 500;
+const enrichmentCache = new Map(); // line text -> { words, script }
+const segmenters = new Map(); // language -> Intl.Segmenter
+
+// Copy of a message with `words` and `script` on every line
+function enrichMessage(message) {
+  return {
+    ...message,
+    subtitle: {
+      ...message.subtitle,
+      lines: message.subtitle.lines.map(line => ({ ...line, ...analyzeLine(line.text) }))
+    }
+  };
+}
+
+// Analysis of a line's text, cached since every destination asks for the same lines
+function analyzeLine(text) {
+  if (enrichmentCache.has(text)) {
+    return enrichmentCache.get(text);
+  }
+
+  const script = detectScript(text);
+  const analysis = { script };
+  const words = segmentWords(text, script.language);
+  if (words) {
+    analysis.words = words;
+  }
+
+  if (enrichmentCache.size >= ENRICHMENT_CACHE_LIMIT) {
+    enrichmentCache.delete(enrichmentCache.keys().next().value);
+  }
+  enrichmentCache.set(text, analysis);
+  return analysis;
+}
+
+// Script of the letters in a line: 'cjk', 'latin', 'mixed' or 'other', the
+// language that suggests ('ja', 'zh', 'ko' or null), and the share of kana and
+// kanji among the letters
+function detectScript(text) {
+  const count = (pattern) => (text.match(pattern) || []).length;
+  const letters = count(/\p{L}/gu);
+  const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const kanji = count(/\p{Script=Han}/gu);
+  const hangul = count(/\p{Script=Hangul}/gu);
+  const latin = count(/\p{Script=Latin}/gu);
+  const cjk = kana + kanji + hangul;
+
+  let name = 'other';
+  if (cjk > 0 && latin > 0) {
+    name = 'mixed';
+  } else if (cjk > 0) {
+    name = 'cjk';
+  } else if (latin > 0) {
+    name = 'latin';
+  }
+
+  let language = null;
+  if (kana > 0) {
+    language = 'ja';
+  } else if (hangul > 0) {
+    language = 'ko';
+  } else if (kanji > 0) {
+    language = 'zh';
+  }
+
+  const ratio = (value) => letters > 0 ? Math.round(value / letters * 100) / 100 : 0;
+  return { name, language, kana: ratio(kana), kanji: ratio(kanji) };
+}
+
+// Word-like segments with their offset in the text (UTF-16 code units), or
+// null where Intl.Segmenter isn't available
+function segmentWords(text, language) {
+  if (typeof Intl.Segmenter !== 'function') {
+    return null;
+  }
+
+  const locale = language || 'en';
+  if (!segmenters.has(locale)) {
+    segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+  }
+
+  return Array.from(segmenters.get(locale).segment(text))
+    .filter(segment => segment.isWordLike)
+    .map(segment => ({ text: segment.segment, index: segment.index }));
+}
+
+// ==================== Authentication ====================
+
+// How long a WebSocket receiver with a secret has to finish the auth exchange
+const AUTH_TIMEOUT_MS = 5000;
+
+// Import a shared secret as an HMAC-SHA256 key
+function importSecret(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+}
+
+// Hex-encoded HMAC-SHA256 of a string
+async function hmacHex(key, text) {
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Add the signature as the last field of a JSON object, so receivers can
+// cut it off again to get the exact text that was signed
+function appendSignature(body, signature) {
+  return `${body.slice(0, -1)},"signature":"${signature}"}`;
+}
+
+// ==================== Media Capture ====================
+
+// JPEG quality of tab captures, 0-100
+const CAPTURE_QUALITY = 80;
+
+// Screenshot for a content script whose video can't be drawn to a canvas,
+// cropped to the video's position when the frame knows it
+async function captureFrame(sender, request) {
+  try {
+    // captureVisibleTab shows whatever tab is in front, which must be the sender's
+    const [activeTab] = await chrome.tabs.query({ active: true, windowId: sender.tab.windowId });
+    if (!activeTab || activeTab.id !== sender.tab.id) {
+      return { ok: false, error: 'Tab is not visible' };
+    }
+
+    const dataUrl = await chrome.tabs.captureVisibleTab(sender.tab.windowId, {
+      format: 'jpeg',
+      quality: CAPTURE_QUALITY
+    });
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+
+    // The rect is in CSS pixels, the capture in device pixels
+    let sx = 0, sy = 0, sw = bitmap.width, sh = bitmap.height;
+    if (request.rect) {
+      const ratio = request.devicePixelRatio || 1;
+      const x = Math.max(0, Math.round(request.rect.x * ratio));
+      const y = Math.max(0, Math.round(request.rect.y * ratio));
+      const width = Math.min(bitmap.width - x, Math.round(request.rect.width * ratio));
+      const height = Math.min(bitmap.height - y, Math.round(request.rect.height * ratio));
+      if (width > 0 && height > 0) {
+        sx = x; sy = y; sw = width; sh = height;
+      }
+    }
+
+    const scale = Math.min(1, (request.maxWidth || sw) / sw);
+    const canvas = new OffscreenCanvas(Math.round(sw * scale), Math.round(sh * scale));
+    canvas.getContext('2d').drawImage(bitmap, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: CAPTURE_QUALITY / 100 });
+    return {
+      ok: true,
+      screenshot: {
+        mimeType: 'image/jpeg',
+        width: canvas.width,
+        height: canvas.height,
+        data: await blobToBase64(blob)
+      }
+    };
+  } catch (error) {
+    console.error('[SubtitleStreamer] Error capturing tab:', error);
+    return { ok: false, error: error.message };
+  }
+}
+
+// Base64 of a blob, without FileReader which workers don't have
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// ==================== Subtitle History ====================
+
+// Cues are stored per session in chrome.storage.local under `history:<id>`,
+// with a small index of sessions next to them
+const HISTORY_INDEX_KEY = 'history:index';
+const HISTORY_SAVE_DELAY_MS = 1000;
+
+let historyIndex = null; // [{ id, title, url, tabId, startedAt, updatedAt, endedAt, cueCount, tracks }]
+const historyCues = new Map(); // session id -> cues
+const dirtyHistory = new Set();
+let historySaveTimeout = null;
+let historyChain = Promise.resolve(); // Keeps history updates in arrival order
+
+// Run history updates one at a time
+function queueHistoryTask(task) {
+  historyChain = historyChain.then(task).catch(error => {
+    console.error('[SubtitleStreamer] History error:', error);
+  });
+  return historyChain;
+}
+
+async function getHistoryIndex() {
+  if (!historyIndex) {
+    const result = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+    historyIndex = historyIndex || result[HISTORY_INDEX_KEY] || [];
+  }
+  return historyIndex;
+}
+
+async function getHistoryCues(id) {
+  if (!historyCues.has(id)) {
+    const key = `history:${id}`;
+    const result = await chrome.storage.local.get(key);
+    if (!historyCues.has(id)) {
+      historyCues.set(id, result[key] || []);
+    }
+  }
+  return historyCues.get(id);
+}
+
+// Session entry and cues for export
+async function getHistorySession(id) {
+  const index = await getHistoryIndex();
+  const session = index.find(entry => entry.id === id) || null;
+  const cues = session ? await getHistoryCues(id) : [];
+  return { session, cues };
+}
+
+// Add a cue to its session's history, or fill in the measured end
+function recordHistory(message) {
+  if (settings.historyMaxSessions <= 0 || !message.session) {
+    return;
+  }
+
+  queueHistoryTask(async () => {
+    const index = await getHistoryIndex();
+    const cues = await getHistoryCues(message.session.id);
+    const { subtitle } = message;
+
+    let entry = index.find(item => item.id === message.session.id);
+    if (!entry) {
+      entry = {
+        id: message.session.id,
+        title: message.session.title,
+        url: message.session.url,
+        tabId: message.session.tabId,
+        startedAt: message.session.startedAt,
+        updatedAt: Date.now(),
+        endedAt: null,
+        cueCount: 0,
+        tracks: []
+      };
+      index.push(entry);
+      pruneHistory();
+    }
+
+    if (message.type === 'subtitle') {
+      cues.push({
+        start: subtitle.start,
+        end: subtitle.end,
+        text: subtitle.text,
+        lines: subtitle.lines.map(line => ({ text: line.text, track: line.track }))
+      });
+
+      subtitle.lines.forEach(line => {
+        if (!entry.tracks.includes(line.track)) {
+          entry.tracks.push(line.track);
+        }
+      });
+    } else if (message.type === 'subtitle_end') {
+      for (let i = cues.length - 1; i >= 0; i--) {
+        if (cues[i].start === subtitle.start && cues[i].text === subtitle.text) {
+          cues[i].end = subtitle.end;
+          break;
+        }
+      }
+    }
+
+    entry.title = message.session.title || entry.title;
+    entry.cueCount = cues.length;
+    entry.updatedAt = Date.now();
+    dirtyHistory.add(entry.id);
+    scheduleHistorySave();
+  });
+}
+
+// Mark a history session as finished
+function endHistorySession(id) {
+  queueHistoryTask(async () => {
+    const index = await getHistoryIndex();
+    const entry = index.find(item => item.id === id);
+    if (entry && !entry.endedAt) {
+      entry.endedAt = Date.now();
+      scheduleHistorySave();
+    }
+  });
+}
+
+// Drop the oldest sessions beyond the retention limit
+function pruneHistory() {
+  while (historyIndex.length > settings.historyMaxSessions) {
+    const removed = historyIndex.shift();
+    historyCues.delete(removed.id);
+    dirtyHistory.delete(removed.id);
+    chrome.storage.local.remove(`history:${removed.id}`);
+    console.log('[SubtitleStreamer] Removed old history session:', removed.id);
+  }
+}
+
+// Writes are batched so a busy cue stream doesn't hit storage on every line
+function scheduleHistorySave() {
+  if (historySaveTimeout) {
+    return;
+  }
+
+  historySaveTimeout = setTimeout(() => {
+    historySaveTimeout = null;
+    queueHistoryTask(saveHistory);
+  }, HISTORY_SAVE_DELAY_MS);
+}
+
+async function saveHistory() {
+  const items = { [HISTORY_INDEX_KEY]: historyIndex };
+  for (const id of dirtyHistory) {
+    items[`history:${id}`] = historyCues.get(id);
+  }
+  dirtyHistory.clear();
+
+  await chrome.storage.local.set(items);
+}
+
+function clearHistory() {
+  return queueHistoryTask(async () => {
+    const index = await getHistoryIndex();
+    await chrome.storage.local.remove([HISTORY_INDEX_KEY, ...index.map(entry => `history:${entry.id}`)]);
+
+    historyIndex = [];
+    historyCues.clear();
+    dirtyHistory.clear();
+    console.log('[SubtitleStreamer] History cleared');
+  });
+}
+
+// ==================== Outbound Queue ====================
+
+// Holds messages for one destination until they are delivered. Kept in
+// chrome.storage.session so a service worker restart doesn't lose them.
+class OutboundQueue {
+  constructor(id) {
+    this.key = `queue:${id}`;
+    this.items = []; // { message, queuedAt, deferred, live }
+    this.loading = null;
+    this.flushing = null;
+    this.flushPending = false;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.session.get(this.key).then(result => {
+        const stored = result[this.key] || [];
+        if (stored.length > 0) {
+          console.log(`[SubtitleStreamer] Restored ${stored.length} queued messages (${this.key})`);
+        }
+        this.items = stored.concat(this.items);
+      }).catch(error => {
+        console.error('[SubtitleStreamer] Error loading queue:', error);
+      });
+    }
+    return this.loading;
+  }
+
+  // Live messages wait their turn behind queued ones but are never stored
+  async push(message, live = false) {
+    await this.load();
+    this.items.push({ message, queuedAt: Date.now(), deferred: false, live });
+    if (!live) {
+      this.prune();
+      await this.persist();
+    }
+    return this;
+  }
+
+  // Drop messages beyond the configured age and size limits, oldest first.
+  // Live messages pass through the queue too, so 0 means no limit rather
+  // than dropping everything.
+  prune() {
+    const before = this.items.length;
+    if (settings.queueMaxAgeMinutes > 0) {
+      const cutoff = Date.now() - settings.queueMaxAgeMinutes * 60 * 1000;
+      this.items = this.items.filter(item => item.queuedAt >= cutoff);
+    }
+    if (settings.queueMaxSize > 0 && this.items.length > settings.queueMaxSize) {
+      this.items = this.items.slice(this.items.length - settings.queueMaxSize);
+    }
+
+    const dropped = before - this.items.length;
+    if (dropped > 0) {
+      console.warn(`[SubtitleStreamer] Dropped ${dropped} queued messages over the limits (${this.key})`);
+    }
+  }
+
+  async persist() {
+    try {
+      await chrome.storage.session.set({ [this.key]: this.items.filter(item => !item.live) });
+    } catch (error) {
+      console.error('[SubtitleStreamer] Error saving queue:', error);
+    }
+  }
+
+  // Deliver queued messages in order until the transport stops accepting them.
+  // Up to transport.maxPending messages are handed over before the first one
+  // is confirmed, so transports that batch see more than one at a time.
+  flush(transport) {
+    if (this.flushing) {
+      this.flushPending = true;
+      return this.flushing;
+    }
+
+    this.flushing = (async () => {
+      await this.load();
+
+      const sending = new Map(); // item -> deliver() promise
+      const isCurrent = () => transports.get(transport.destination.id) === transport && transport.isReady();
+
+      try {
+        do {
+          this.flushPending = false;
+          this.prune();
+
+          while (this.items.length > 0 && isCurrent()) {
+            // Top up with messages pushed since the last round. Live messages
+            // don't count, the transport drops those first when it falls behind.
+            let pending = Array.from(sending.keys()).filter(item => !item.live).length;
+            for (const item of this.items) {
+              if (!item.live && pending >= transport.maxPending) {
+                break;
+              }
+              if (!sending.has(item)) {
+                const message = item.deferred ? { ...item.message, replayed: true } : item.message;
+                sending.set(item, transport.deliver(message, !item.live));
+                pending += item.live ? 0 : 1;
+              }
+            }
+
+            // A live message that didn't get through is dropped, not retried
+            const head = this.items[0];
+            const delivered = (await sending.get(head)) || head.live;
+            sending.delete(head);
+
+            if (!delivered) {
+              break;
+            }
+            this.remove(head);
+          }
+
+          // Settle the rest, keeping whatever didn't get through
+          for (const [item, promise] of sending) {
+            if ((await promise) || item.live) {
+              this.remove(item);
+            }
+          }
+          sending.clear();
+
+          // Whatever is left has missed its live delivery
+          this.items = this.items.filter(item => !item.live);
+          this.items.forEach(item => { item.deferred = true; });
+          await this.persist();
+        } while (this.flushPending && this.items.length > 0 && transport.isReady());
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return this.flushing;
+  }
+
+  // Remove a delivered item; prune() may have dropped it already
+  remove(item) {
+    const index = this.items.indexOf(item);
+    if (index !== -1) {
+      this.items.splice(index, 1);
+    }
+  }
+
+  clear() {
+    this.items = [];
+    chrome.storage.session.remove(this.key);
+  }
+}
+
+// ==================== Base Transport ====================
+
+class Transport {
+  constructor(destination) {
+    this.status = 'disconnected'; // 'connected', 'disconnected', 'connecting', 'auth_failed'
+
+    // A fixed protocol skips negotiation; 'auto' starts at the newest
+    const configured = parseInt(destination.protocol, 10);
+    this.fixedProtocol = SUPPORTED_PROTOCOLS.includes(configured);
+    this.protocol = this.fixedProtocol ? configured : PROTOCOL_VERSION;
+    this.capabilities = null; // null = everything, until the receiver says otherwise
+
+    this.secret = destination.secret || '';
+    this.signPayloads = Boolean(destination.signPayloads && this.secret);
+    this.key = null;
+
+    // Queued messages handed to deliver() before the first is confirmed
+    this.maxPending = 1;
+
+    this.applySettings(destination);
+  }
+
+  // Take the settings that don't need a reconnect, also when they change later
+  applySettings(destination) {
+    this.destination = destination;
+
+    // Media this receiver wants in cue_media messages, and the size limit per item
+    this.media = {
+      screenshot: Boolean(destination.mediaScreenshot),
+      audio: Boolean(destination.mediaAudio),
+      maxBytes: (destination.mediaMaxKB || 512) * 1024
+    };
+
+    // Whether lines get word boundaries and script details
+    this.enrichLines = Boolean(destination.enrichLines);
+  }
+
+  // HMAC key for the shared secret, imported once per connection
+  signingKey() {
+    if (!this.key) {
+      this.key = importSecret(this.secret);
+    }
+    return this.key;
+  }
+
+  // Signature of a serialized payload
+  async sign(body) {
+    return hmacHex(await this.signingKey(), body);
+  }
+
+  // Apply the receiver's hello: pick a protocol version and capabilities
+  negotiate(hello) {
+    const offered = Array.isArray(hello.protocols) ? hello.protocols : [hello.protocol];
+    const common = SUPPORTED_PROTOCOLS.filter(version => offered.includes(version));
+
+    if (!this.fixedProtocol) {
+      if (common.length === 0) {
+        console.error(`${this.label} No common protocol version, receiver offered:`, offered);
+        this.send({
+          type: 'hello_ack',
+          timestamp: Date.now(),
+          ok: false,
+          error: { code: 'unsupported_protocol', message: `Supported protocols: ${SUPPORTED_PROTOCOLS.join(', ')}` }
+        });
+        return;
+      }
+      this.protocol = Math.max(...common);
+    }
+
+    this.capabilities = Array.isArray(hello.capabilities)
+      ? hello.capabilities.filter(capability => CAPABILITIES.includes(capability))
+      : null;
+
+    console.log(`${this.label} Negotiated protocol ${this.protocol}, capabilities:`, this.capabilities || 'all');
+    this.send({
+      type: 'hello_ack',
+      timestamp: Date.now(),
+      ok: true,
+      protocol: this.protocol,
+      capabilities: this.capabilities || CAPABILITIES
+    });
+  }
+
+  // Message as this receiver expects it, or null if it shouldn't get it
+  encode(message) {
+    if (message.type === 'cue_media') {
+      message = this.selectMedia(message);
+      if (!message) {
+        return null;
+      }
+    }
+    if (this.enrichLines && message.subtitle) {
+      message = enrichMessage(message);
+    }
+    return encodeMessage(message, this.protocol, this.capabilities);
+  }
+
+  // Keep the media this receiver enabled and that fits its size limit
+  selectMedia(message) {
+    if (!this.acceptsMedia()) {
+      return null;
+    }
+
+    const selected = { ...message, screenshot: null, audio: null };
+    for (const kind of ['screenshot', 'audio']) {
+      const item = message[kind];
+      if (!item || !this.media[kind]) {
+        continue;
+      }
+      if (item.data.length > this.media.maxBytes) {
+        console.warn(`${this.label} Leaving out ${kind} of ${Math.ceil(item.data.length / 1024)} KB, over the size limit`);
+        continue;
+      }
+      selected[kind] = item;
+    }
+
+    return selected.screenshot || selected.audio ? selected : null;
+  }
+
+  // Whether media can be sent without piling up behind earlier messages
+  acceptsMedia() {
+    return true;
+  }
+
+  get label() {
+    return `[SubtitleStreamer] [${this.destination.name}]`;
+  }
+
+  // Whether queued messages can be handed to deliver() right now
+  isReady() {
+    return this.status === 'connected';
+  }
+
+  // Called periodically by the keep-alive alarm
+  revive() {
+    flushQueue(this);
+  }
+
+  // Whether the transport stopped trying until the user steps in
+  gaveUp() {
+    return false;
+  }
+
+  // Deliver a queued message, resolving to false if it has to stay queued
+  async deliver(message) {
+    this.send(message);
+    return true;
+  }
+
+  setStatus(status) {
+    this.status = status;
+    // Ignore late events from a transport that was already replaced
+    if (transports.get(this.destination.id) === this) {
+      updateBadge();
+    }
+  }
+}
+
+// ==================== Persistent Transport ====================
+
+// Heartbeats also keep the service worker alive, which Chrome stops after 30s
+// without events
+const HEARTBEAT_MS = 20000;
+
+// Transports that hold a connection open: reconnect with backoff and heartbeats
+class PersistentTransport extends Transport {
+  constructor(destination) {
+    super(destination);
+    this.reconnectAttempts = 0;
+    this.heartbeatInterval = null;
+    this.reconnectTimeout = null;
   }
-  updateBadge('disconnected');
-}
 
-// Handle subtitle from content script
-function handleSubtitle(message) {
-  if (!settings.enabled || !transport) {
-    return;
+  // Wait before the next attempt: doubling from 1s up to the configured
+  // maximum, randomized so receivers aren't hit by every client at once
+  reconnectDelay() {
+    const maxDelay = settings.reconnectMaxDelaySeconds * 1000;
+    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), maxDelay);
+    return settings.reconnectJitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
   }
 
-  transport.send(message);
-}
+  scheduleReconnect() {
+    if (this.reconnectTimeout) {
+      return; // Already scheduled
+    }
 
-// Test connection
-async function testConnection() {
-  // Reset reconnect attempts when user manually tests
-  if (transport && transport.reconnectAttempts !== undefined) {
-    console.log('[SubtitleStreamer] Resetting reconnection attempts (manual test)');
-    transport.reconnectAttempts = 0;
-  }
+    // Check if we've exceeded max attempts (0 = keep trying)
+    const maxAttempts = settings.reconnectMaxAttempts;
+    if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
+      console.log(`${this.label} Max reconnection attempts (${maxAttempts}) reached. Stopped trying.`);
+      console.log('[SubtitleStreamer] Click "Try Connecting" in settings to retry.');
+      this.setStatus('disconnected');
+      return;
+    }
 
-  if (!transport) {
-    connectTransport();
-    // Wait a bit for connection
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  } else {
-    // Reconnect existing transport
-    disconnectTransport();
-    connectTransport();
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    const delay = this.reconnectDelay();
+    console.log(`${this.label} Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts + 1}/${maxAttempts || '∞'})`);
+
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.reconnectAttempts++;
+      this.connect();
+    }, delay);
   }
 
-  return {
-    success: connectionStatus === 'connected',
-    status: connectionStatus,
-    transportType: settings.transportType
-  };
-}
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatInterval = setInterval(() => {
+      this.send({
+        type: 'heartbeat',
+        timestamp: Date.now()
+      });
+    }, HEARTBEAT_MS);
+  }
 
-// Update badge
-function updateBadge(status) {
-  connectionStatus = status;
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
 
-  const colors = {
-    connected: '#00FF00',
-    disconnected: '#FF0000',
-    connecting: '#FFFF00'
-  };
+  cancelReconnect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+  }
 
-  const texts = {
-    connected: '●',
-    disconnected: '○',
-    connecting: '◌'
-  };
+  // Whether reconnectMaxAttempts ran out, which only the user can restart
+  gaveUp() {
+    const maxAttempts = settings.reconnectMaxAttempts;
+    return this.status === 'disconnected' && !this.reconnectTimeout &&
+      maxAttempts > 0 && this.reconnectAttempts >= maxAttempts;
+  }
 
-  chrome.action.setBadgeBackgroundColor({ color: colors[status] || '#888888' });
-  chrome.action.setBadgeText({ text: texts[status] || '' });
+  // Start over if the connection dropped without a retry scheduled. A used up
+  // attempt limit or a rejected secret needs the user instead.
+  revive() {
+    super.revive();
+    if (settings.reconnectMaxAttempts > 0) {
+      return;
+    }
+    if (this.status === 'disconnected' && !this.reconnectTimeout) {
+      console.log(`${this.label} Retrying`);
+      this.reconnectAttempts = 0;
+      this.connect();
+    }
+  }
 }
 
 // ==================== WebSocket Transport ====================
 
-class WebSocketTransport {
-  constructor(url) {
-    this.url = url;
+// Unsent bytes above which cue media is skipped rather than queued behind
+const MEDIA_MAX_BUFFERED = 1024 * 1024;
+
+class WebSocketTransport extends PersistentTransport {
+  constructor(destination) {
+    super(destination);
+    this.url = destination.url;
     this.ws = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;  // Stop after 3 failed attempts
-    this.maxReconnectDelay = 30000;
-    this.heartbeatInterval = null;
-    this.reconnectTimeout = null;
+
+    // With a secret, nothing is sent until the receiver accepts our answer to its challenge
+    this.authenticated = false;
+    this.challengeAnswered = false;
+    this.authTimeout = null;
+    this.sendChain = Promise.resolve(); // Keeps signed messages in order
   }
 
   connect() {
     try {
-      updateBadge('connecting');
+      this.setStatus('connecting');
+      this.authenticated = false;
+      this.challengeAnswered = false;
       this.ws = new WebSocket(this.url);
 
       this.ws.onopen = () => {
-        console.log('[SubtitleStreamer] WebSocket connected');
-        updateBadge('connected');
-        this.reconnectAttempts = 0;
-
-        // Send connected message
-        this.send({
-          type: 'connected',
-          timestamp: Date.now(),
-          version: VERSION
-        });
+        console.log(`${this.label} WebSocket connected`);
 
-        // Start heartbeat
-        this.startHeartbeat();
+        if (this.secret) {
+          this.authTimeout = setTimeout(() => {
+            this.failAuth('Receiver did not complete the auth exchange');
+          }, AUTH_TIMEOUT_MS);
+        } else {
+          this.onAuthenticated();
+        }
       };
 
       this.ws.onclose = () => {
-        console.log('[SubtitleStreamer] WebSocket disconnected');
-        updateBadge('disconnected');
+        console.log(`${this.label} WebSocket disconnected`);
         this.stopHeartbeat();
+
+        // Receivers may just hang up on a wrong answer
+        if (this.challengeAnswered && !this.authenticated) {
+          this.failAuth('Receiver closed the connection during auth');
+          return;
+        }
+
+        this.clearAuthTimeout();
+        this.setStatus('disconnected');
         this.scheduleReconnect();
       };
 
+      this.ws.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.error(`${this.label} Invalid message from receiver:`, event.data);
+          this.send(commandError(null, null, 'invalid_message', 'Message is not valid JSON'));
+          return;
+        }
+
+        if (['auth_challenge', 'auth_ok', 'auth_failed'].includes(message.type)) {
+          this.handleAuthMessage(message);
+        } else if (this.authenticated) {
+          handleReceiverMessage(message, this);
+        }
+      };
+
       this.ws.onerror = (error) => {
-        console.error('[SubtitleStreamer] WebSocket error:', error);
-        updateBadge('disconnected');
+        console.error(`${this.label} WebSocket error:`, error);
+        this.setStatus('disconnected');
       };
 
     } catch (error) {
-      console.error('[SubtitleStreamer] WebSocket connection error:', error);
-      updateBadge('disconnected');
+      console.error(`${this.label} WebSocket connection error:`, error);
+      this.setStatus('disconnected');
       this.scheduleReconnect();
     }
   }
 
   disconnect() {
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-      this.reconnectTimeout = null;
-    }
-
+    this.cancelReconnect();
     this.stopHeartbeat();
+    this.clearAuthTimeout();
 
     if (this.ws) {
       // Send disconnect message
@@ -247,88 +2004,182 @@ class WebSocketTransport {
         });
       }
 
-      this.ws.close();
-      this.ws = null;
+      this.closeSocket();
     }
 
-    updateBadge('disconnected');
+    this.setStatus('disconnected');
   }
 
-  send(message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
-    }
+  // Close on purpose, so onclose doesn't schedule a reconnect
+  closeSocket() {
+    const ws = this.ws;
+    ws.onclose = null;
+    ws.onerror = null;
+    ws.onmessage = null;
+    this.ws = null;
+
+    // Let pending signed messages go out first
+    this.sendChain.then(() => ws.close());
   }
 
-  scheduleReconnect() {
-    if (this.reconnectTimeout) {
-      return; // Already scheduled
+  // Ready for subtitles, after a successful auth exchange if one is needed
+  onAuthenticated() {
+    this.clearAuthTimeout();
+    this.authenticated = true;
+    this.setStatus('connected');
+    this.reconnectAttempts = 0;
+
+    // Send connected message
+    this.send(createConnectedMessage(this));
+
+    // Replay anything missed while disconnected
+    flushQueue(this);
+
+    // Start heartbeat
+    this.startHeartbeat();
+  }
+
+  // Challenge/response: HMAC-SHA256 of the receiver's nonce, keyed with the secret
+  async handleAuthMessage(message) {
+    if (message.type === 'auth_challenge') {
+      if (!this.secret) {
+        this.failAuth('Receiver requires a shared secret');
+        return;
+      }
+      if (this.authenticated || this.challengeAnswered) {
+        return;
+      }
+      if (typeof message.nonce !== 'string' || message.nonce.length === 0) {
+        this.failAuth('Receiver sent an invalid auth challenge');
+        return;
+      }
+
+      const ws = this.ws;
+      const response = await this.sign(message.nonce);
+      if (ws !== this.ws || ws.readyState !== WebSocket.OPEN) {
+        return; // Closed while signing
+      }
+
+      this.challengeAnswered = true;
+      ws.send(JSON.stringify({ type: 'auth', timestamp: Date.now(), response }));
+    } else if (message.type === 'auth_ok') {
+      if (this.challengeAnswered && !this.authenticated) {
+        console.log(`${this.label} Authenticated`);
+        this.onAuthenticated();
+      }
+    } else if (message.type === 'auth_failed') {
+      this.failAuth(message.message || 'Receiver rejected the shared secret');
     }
+  }
 
-    // Check if we've exceeded max attempts
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.log(`[SubtitleStreamer] Max reconnection attempts (${this.maxReconnectAttempts}) reached. Stopped trying.`);
-      console.log('[SubtitleStreamer] Click "Test Connection" in settings to retry.');
-      updateBadge('disconnected');
-      return;
+  // A wrong secret won't fix itself, so stop instead of reconnecting
+  failAuth(reason) {
+    console.error(`${this.label} Authentication failed: ${reason}`);
+    this.clearAuthTimeout();
+    this.stopHeartbeat();
+    this.authenticated = false;
+
+    if (this.ws) {
+      this.closeSocket();
     }
 
-    const delay = Math.min(
-      1000 * Math.pow(2, this.reconnectAttempts),
-      this.maxReconnectDelay
-    );
+    this.setStatus('auth_failed');
+  }
 
-    console.log(`[SubtitleStreamer] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts + 1}/${this.maxReconnectAttempts})`);
+  clearAuthTimeout() {
+    if (this.authTimeout) {
+      clearTimeout(this.authTimeout);
+      this.authTimeout = null;
+    }
+  }
 
-    this.reconnectTimeout = setTimeout(() => {
-      this.reconnectTimeout = null;
-      this.reconnectAttempts++;
-      this.connect();
-    }, delay);
+  isReady() {
+    return this.ws !== null && this.ws.readyState === WebSocket.OPEN && this.authenticated;
   }
 
-  startHeartbeat() {
-    this.stopHeartbeat();
-    this.heartbeatInterval = setInterval(() => {
-      this.send({
-        type: 'heartbeat',
-        timestamp: Date.now()
-      });
-    }, 30000); // 30 seconds
+  // Skip media while the socket still has a backlog to write
+  acceptsMedia() {
+    return this.ws !== null && this.ws.bufferedAmount < MEDIA_MAX_BUFFERED;
   }
 
-  stopHeartbeat() {
-    if (this.heartbeatInterval) {
-      clearInterval(this.heartbeatInterval);
-      this.heartbeatInterval = null;
+  send(message) {
+    const payload = this.encode(message);
+    if (!payload || !this.isReady()) {
+      return;
     }
+
+    const body = JSON.stringify(payload);
+    if (!this.signPayloads) {
+      this.ws.send(body);
+      return;
+    }
+
+    // Signing is async, so chain it to keep messages in order
+    const ws = this.ws;
+    this.sendChain = this.sendChain
+      .then(async () => {
+        const signature = await this.sign(body);
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(appendSignature(body, signature));
+        }
+      })
+      .catch(error => console.error(`${this.label} Signing error:`, error));
   }
 }
 
 // ==================== HTTP Transport ====================
 
-class HttpTransport {
-  constructor(url) {
-    this.url = url;
+class HttpTransport extends Transport {
+  constructor(destination) {
+    super(destination);
+    this.url = destination.url;
     this.maxRetries = 3;
+    this.valid = false;
+    this.outbox = []; // { message, resolve, queued }
+    this.posting = false;
+    this.batchTimeout = null;
+    this.batchReady = null;
+  }
+
+  applySettings(destination) {
+    super.applySettings(destination);
+
+    // Requests go out one at a time, in order. With batching on, messages are
+    // collected for batchMs (or until batchSize of them wait) and POSTed as an array.
+    // Templates render one subtitle per request, so they don't batch.
+    this.template = destination.template && destination.template.enabled ? destination.template : null;
+    this.batchMs = this.template ? 0 : destination.batchMs || 0;
+    this.batchSize = this.batchMs > 0 ? Math.max(1, destination.batchSize || 20) : 1;
+    // Only one request is in flight at a time; this bounds the messages waiting
+    // behind it. Settings saved before the rename call it maxInFlight.
+    this.maxWaiting = Math.max(1, destination.maxWaiting || destination.maxInFlight || 50);
+    this.maxPending = this.maxWaiting;
+
+    // A batch being collected under the old settings may already be due
+    if (this.batchReady && this.outbox.length >= this.batchSize) {
+      this.batchReady();
+    }
+    if (this.outbox) {
+      this.dropOverflow();
+    }
   }
 
   connect() {
     // HTTP is stateless, just mark as connected if URL is valid
     try {
       new URL(this.url);
-      updateBadge('connected');
-      console.log('[SubtitleStreamer] HTTP transport ready:', this.url);
+      this.valid = true;
+      this.setStatus('connected');
+      console.log(`${this.label} HTTP transport ready:`, this.url);
 
       // Send initial connected message
-      this.send({
-        type: 'connected',
-        timestamp: Date.now(),
-        version: VERSION
-      });
+      this.send(createConnectedMessage(this));
+
+      // Replay anything that failed earlier
+      flushQueue(this);
     } catch (error) {
-      console.error('[SubtitleStreamer] Invalid HTTP URL:', error);
-      updateBadge('disconnected');
+      console.error(`${this.label} Invalid HTTP URL:`, error);
+      this.setStatus('disconnected');
     }
   }
 
@@ -339,84 +2190,306 @@ class HttpTransport {
       timestamp: Date.now()
     });
 
-    updateBadge('disconnected');
+    this.setStatus('disconnected');
+  }
+
+  // Unlike sockets, HTTP can always try again, so a failed send doesn't block the queue.
+  // A rejected secret does, until the settings change.
+  isReady() {
+    return this.valid && this.status !== 'auth_failed';
+  }
+
+  // Messages that aren't queued (playback, cue_media, heartbeats) are dropped
+  // first under load
+  send(message) {
+    this.deliver(message, false);
+  }
+
+  // Resolves when the request carrying the message is done: true if it was
+  // delivered (or an unqueued message was dropped under load), false if it
+  // failed or was dropped and should stay in the offline queue
+  deliver(message, queued = true) {
+    return new Promise(resolve => {
+      this.outbox.push({ message, resolve, queued });
+      this.dropOverflow();
+
+      if (this.batchReady && this.outbox.length >= this.batchSize) {
+        this.batchReady();
+      }
+      this.pump();
+    });
+  }
+
+  // Under load, drop the oldest waiting messages instead of falling further
+  // behind: unqueued ones first, then queued ones, which the offline queue keeps
+  dropOverflow() {
+    let overflow = this.outbox.length - this.maxWaiting;
+    if (overflow <= 0) {
+      return;
+    }
+    console.warn(`${this.label} Receiver can't keep up, dropped ${overflow} oldest messages`);
+
+    for (const queued of [false, true]) {
+      for (let index = 0; index < this.outbox.length && overflow > 0;) {
+        const entry = this.outbox[index];
+        if (entry.queued !== queued) {
+          index++;
+          continue;
+        }
+        this.outbox.splice(index, 1);
+        entry.resolve(!queued);
+        overflow--;
+      }
+    }
+  }
+
+  // Post waiting messages one request at a time, oldest first
+  async pump() {
+    if (this.posting) {
+      return;
+    }
+    this.posting = true;
+
+    try {
+      while (this.outbox.length > 0) {
+        if (this.outbox.length < this.batchSize) {
+          await this.waitForBatch();
+        }
+
+        const batch = this.takeBatch();
+        const delivered = await this.post(batch);
+        batch.forEach(entry => entry.resolve(delivered));
+
+        if (!delivered) {
+          // Everything behind it would fail the same way; the offline queue retries later
+          this.outbox.splice(0).forEach(entry => entry.resolve(false));
+        }
+      }
+    } finally {
+      this.posting = false;
+    }
+  }
+
+  // Wait until batchMs has passed or a full batch is waiting
+  waitForBatch() {
+    return new Promise(resolve => {
+      this.batchReady = resolve;
+      this.batchTimeout = setTimeout(resolve, this.batchMs);
+    }).then(() => {
+      clearTimeout(this.batchTimeout);
+      this.batchTimeout = null;
+      this.batchReady = null;
+    });
+  }
+
+  // Messages for the next request. The connected message goes on its own,
+  // since its response may carry the receiver's hello.
+  takeBatch() {
+    if (this.outbox[0].message.type === 'connected') {
+      return this.outbox.splice(0, 1);
+    }
+
+    let count = 0;
+    while (count < this.batchSize && count < this.outbox.length && this.outbox[count].message.type !== 'connected') {
+      count++;
+    }
+    return this.outbox.splice(0, count);
+  }
+
+  // The request for a batch: the JSON message(s), or the destination's template
+  buildRequest(batch) {
+    if (this.template) {
+      return buildTemplateRequest(this.template, this.url, batch[0].message);
+    }
+
+    // Encoded now rather than when queued, so a hello that arrived meanwhile applies
+    const payloads = batch.map(entry => this.encode(entry.message)).filter(Boolean);
+    if (payloads.length === 0) {
+      return null;
+    }
+
+    return {
+      url: this.url,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.batchMs > 0 ? payloads : payloads[0])
+    };
   }
 
-  async send(message) {
+  // Send one request, retrying network errors and non-2xx responses
+  async post(batch) {
+    const request = this.buildRequest(batch);
+    if (!request) {
+      return true; // Not wanted by this receiver
+    }
+
+    // An Authorization header from the template wins over the shared secret
+    const headers = { ...request.headers };
+    if (this.secret && !hasHeader(headers, 'Authorization')) {
+      headers['Authorization'] = `Bearer ${this.secret}`;
+    }
+    if (this.signPayloads) {
+      headers['X-Signature-256'] = `sha256=${await this.sign(request.body || '')}`;
+    }
+
     for (let attempt = 0; attempt < this.maxRetries; attempt++) {
       try {
-        const response = await fetch(this.url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(message)
+        const response = await fetch(request.url, {
+          method: request.method,
+          headers,
+          body: request.body
         });
 
-        if (response.ok) {
-          if (connectionStatus !== 'connected') {
-            updateBadge('connected');
-          }
-          return;
-        } else {
-          console.error('[SubtitleStreamer] HTTP error:', response.status, response.statusText);
+        if (response.status === 401 || response.status === 403) {
+          console.error(`${this.label} Receiver rejected the shared secret:`, response.status);
+          this.setStatus('auth_failed');
+          return false;
+        }
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+
+        if (this.status !== 'connected') {
+          this.setStatus('connected');
+        }
+        if (batch[0].message.type === 'connected' && !this.template) {
+          await this.readHandshake(response);
         }
+        return true;
       } catch (error) {
-        console.error(`[SubtitleStreamer] HTTP send error (attempt ${attempt + 1}):`, error);
+        console.error(`${this.label} HTTP send error (attempt ${attempt + 1}):`, error);
 
-        if (attempt === this.maxRetries - 1) {
-          updateBadge('disconnected');
-        } else {
+        if (attempt < this.maxRetries - 1) {
           // Wait before retry
           await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
         }
       }
     }
+
+    this.setStatus('disconnected');
+    return false;
+  }
+
+  // HTTP receivers answer the connected message with their hello in the response body
+  async readHandshake(response) {
+    try {
+      const contentType = response.headers.get('Content-Type') || '';
+      if (!contentType.includes('application/json')) {
+        return;
+      }
+
+      const body = await response.json();
+      if (body && body.type === 'hello') {
+        this.negotiate(body);
+      }
+    } catch (error) {
+      console.error(`${this.label} Invalid handshake response:`, error);
+    }
   }
 }
 
 // ==================== Native Messaging Transport ====================
 
-class NativeTransport {
-  constructor(hostName) {
-    this.hostName = hostName;
+// How long a host has to answer the connected message before we warn that it
+// doesn't. It stays 'connecting' until it sends something, unless the
+// destination is pinned to protocol 1, whose hosts never answer.
+const NATIVE_HANDSHAKE_MS = 2000;
+
+class NativeTransport extends PersistentTransport {
+  constructor(destination) {
+    super(destination);
+    this.hostName = destination.host;
     this.port = null;
+    this.handshakeTimeout = null;
+    this.answered = false; // Whether the host sent anything on this port
   }
 
   connect() {
     try {
-      updateBadge('connecting');
-      this.port = chrome.runtime.connectNative(this.hostName);
+      this.setStatus('connecting');
+      const port = chrome.runtime.connectNative(this.hostName);
+      this.port = port;
+      this.answered = false;
+
+      port.onMessage.addListener((message) => {
+        if (port !== this.port) {
+          return;
+        }
+        // Replies to it (hello_ack, command results) may go out from here on
+        this.answered = true;
+        handleReceiverMessage(message, this);
 
-      this.port.onMessage.addListener((message) => {
-        console.log('[SubtitleStreamer] Native message received:', message);
+        // Any reply proves the host is up; a hello has been applied by now
+        this.onHandshake();
       });
 
-      this.port.onDisconnect.addListener(() => {
-        console.log('[SubtitleStreamer] Native host disconnected');
-        if (chrome.runtime.lastError) {
-          console.error('[SubtitleStreamer] Native error:', chrome.runtime.lastError.message);
+      port.onDisconnect.addListener(() => {
+        if (port !== this.port) {
+          return;
         }
-        updateBadge('disconnected');
+        // Also how a host that failed to launch shows up
+        const error = chrome.runtime.lastError;
+        console.log(`${this.label} Native host disconnected${error ? `: ${error.message}` : ''}`);
+
+        this.port = null;
+        this.clearHandshakeTimeout();
+        this.stopHeartbeat();
+        this.setStatus('disconnected');
+        this.scheduleReconnect();
       });
 
-      updateBadge('connected');
-      console.log('[SubtitleStreamer] Native messaging connected:', this.hostName);
+      console.log(`${this.label} Starting native host:`, this.hostName);
 
-      // Send connected message
-      this.send({
-        type: 'connected',
-        timestamp: Date.now(),
-        version: VERSION
-      });
+      // Hosts answer with hello. Being started isn't proof the host is up, so
+      // without an answer nothing is streamed and the offline queue holds it.
+      this.send(createConnectedMessage(this));
+      this.handshakeTimeout = setTimeout(() => {
+        this.handshakeTimeout = null;
+        if (this.fixedProtocol && this.protocol === 1) {
+          this.onHandshake();
+          return;
+        }
+        console.warn(`${this.label} Native host hasn't answered the connected message yet, still waiting`);
+      }, NATIVE_HANDSHAKE_MS);
 
     } catch (error) {
-      console.error('[SubtitleStreamer] Native messaging error:', error);
-      updateBadge('disconnected');
+      console.error(`${this.label} Native messaging error:`, error);
+      this.port = null;
+      this.setStatus('disconnected');
+      this.scheduleReconnect();
+    }
+  }
+
+  // The host is confirmed to be running, start streaming to it
+  onHandshake() {
+    this.clearHandshakeTimeout();
+    if (this.status === 'connected') {
+      return;
+    }
+
+    this.setStatus('connected');
+    this.reconnectAttempts = 0;
+    console.log(`${this.label} Native messaging connected:`, this.hostName);
+
+    // Replay anything missed while disconnected
+    flushQueue(this);
+
+    this.startHeartbeat();
+  }
+
+  clearHandshakeTimeout() {
+    if (this.handshakeTimeout) {
+      clearTimeout(this.handshakeTimeout);
+      this.handshakeTimeout = null;
     }
   }
 
   disconnect() {
+    this.cancelReconnect();
+    this.stopHeartbeat();
+    this.clearHandshakeTimeout();
+
     if (this.port) {
       // Send disconnect message
       this.send({
@@ -424,21 +2497,44 @@ class NativeTransport {
         timestamp: Date.now()
       });
 
-      this.port.disconnect();
+      const port = this.port;
       this.port = null;
+      port.disconnect();
     }
 
-    updateBadge('disconnected');
+    this.setStatus('disconnected');
+  }
+
+  isReady() {
+    return this.port !== null && this.status === 'connected';
   }
 
   send(message) {
-    if (this.port) {
-      try {
-        this.port.postMessage(message);
-      } catch (error) {
-        console.error('[SubtitleStreamer] Native send error:', error);
-        updateBadge('disconnected');
-      }
+    this.deliver(message);
+  }
+
+  async deliver(message) {
+    if (!this.port) {
+      return false;
+    }
+    // Until the host answers, it may not be running: only the connected message goes
+    if (this.status !== 'connected' && !this.answered && message.type !== 'connected') {
+      return false;
+    }
+
+    const payload = this.encode(message);
+    if (!payload) {
+      return true; // Not wanted by this receiver
+    }
+
+    try {
+      this.port.postMessage(payload);
+      return true;
+    } catch (error) {
+      // onDisconnect follows and schedules the reconnect
+      console.error(`${this.label} Native send error:`, error);
+      this.setStatus('disconnected');
+      return false;
     }
   }
 }
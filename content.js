@@ -7,9 +7,78 @@
   // State
   let currentSubtitle = '';
   let observer = null;
+  let documentObserver = null;
+  let captionObserver = null;
+  // asbplayer containers and player caption containers being observed
+  let boundContainers = [];
+  let boundCaptions = [];
+
+  // Discovery of containers and videos: page changes only schedule a scan,
+  // which waits longer each time it finds nothing. While asbplayer's containers
+  // are bound the document observer is off and removalObserver only watches
+  // their ancestors (and the video's) for them leaving the page.
+  let discoveryPaused = false;
+  let removalObserver = null;
+  let scanTimeout = null;
+  let scanDelay = 0;
+  // Observer callbacks, scans and ms spent in both, plus video lookups and the
+  // ms spent in them (also run from scans and timers), see getDiscoveryStats
+  const discoveryStats = { callbacks: 0, scans: 0, timeMs: 0, videoLookups: 0, videoLookupMs: 0 };
+  // Source whose cues are sent, the first available one in the priority setting
+  let activeSource = null;
+  // Text tracks that already have our cuechange listener
+  const listenedTracks = new WeakSet();
+  // Video the subtitles belong to, found again when it is removed or replaced
   let videoElement = null;
-  let lastSentTime = 0;
-  const DEBOUNCE_MS = 50; // Prevent duplicate sends
+  let videoResolveTimeout = null;
+  // False while the site is excluded by the site rules
+  let running = false;
+  // Videos that already have our listeners
+  const listenedVideos = new WeakSet();
+  // Lines extracted from each asbplayer container, dropped when it changes
+  let containerLines = new WeakMap();
+
+  // Changes of the active source that haven't settled yet:
+  // { source, mediaTime, since } with mediaTime in ms when the first one happened
+  let pendingChange = null;
+  let pendingTimeout = null;
+  const SETTLE_MS = 50; // Quiet time after which a change is read and sent
+  const SETTLE_MAX_MS = 250; // Changes that keep coming are read after this long
+
+  // Cue currently on screen: { text, lines, start, source } with start in ms of media time,
+  // and knownEnd when the source gives exact end times
+  let activeCue = null;
+  // Most recent cue, kept after it ends so it can be replayed
+  let lastCue = null;
+  // Cues that ended in this video, ordered by start, for the context of later cues
+  let observedCues = [];
+  const OBSERVED_CUES_LIMIT = 100;
+  // Last media time seen before a seek moved the playhead (seconds)
+  let lastPlaybackTime = 0;
+  // Source of the video, to notice when the player loads something else
+  let lastVideoSrc = '';
+  let lastHeartbeatTime = 0;
+
+  // Screenshot and audio being captured for the cue on screen:
+  // { cue, screenshot: Promise, audio: { recorder, done, timer } | null }
+  let mediaCapture = null;
+  // Streams captured from each video, null where capturing isn't allowed
+  const capturedStreams = new WeakMap();
+
+  // Settings that affect the content script, kept in sync with storage
+  let contentSettings = {
+    playbackHeartbeatMs: 0, // 0 disables timeupdate heartbeats
+    siteMode: 'all', // 'all', 'allowlist' or 'denylist'
+    siteAllowlist: [],
+    siteDenylist: [],
+    rubyInText: false, // Put readings in `text` as 漢字(かんじ) instead of dropping them
+    contextBefore: 0, // Previous cues sent with each subtitle
+    contextAfter: 0, // Upcoming cues sent with each subtitle, when the video has a cue list
+    subtitleSources: ['asbplayer', 'textTracks', 'captions'], // Enabled sources, highest priority first
+    destinations: [] // Read for the media each destination wants
+  };
+
+  const SITE_SETTINGS = ['siteMode', 'siteAllowlist', 'siteDenylist'];
 
   // Configuration
   const SUBTITLE_SELECTORS = [
@@ -17,21 +86,182 @@
     '.asbplayer-subtitles-container-top'
   ];
 
+  // Caption DOM of players that draw their own captions. Each `window` holds
+  // one track; its `line` elements (or the window itself) hold the text.
+  const CAPTION_RENDERERS = [
+    { player: 'youtube', container: '.ytp-caption-window-container', window: '.caption-window', line: '.caption-visual-line' },
+    { player: 'videojs', container: '.vjs-text-track-display', window: '.vjs-text-track-cue' },
+    { player: 'plyr', container: '.plyr__captions', window: '.plyr__caption' }
+  ];
+
+  // Subtitle sources in the order of the subtitleSources setting. Each tells
+  // whether it is on the page and reads what it shows as { lines, start, end },
+  // where start/end are exact media times in ms, or null to measure them.
+  const SUBTITLE_SOURCES = {
+    asbplayer: {
+      isAvailable: () => findSubtitleContainers().length > 0,
+      read: readAsbplayer,
+      anchor: () => {
+        const containers = findSubtitleContainers();
+        return containers.find(c => c.querySelector('span[data-track]')) || containers[0] || null;
+      }
+    },
+    textTracks: {
+      isAvailable: () => getReadableTracks().length > 0,
+      read: readTextTracks,
+      anchor: () => videoElement // The tracks belong to the bound video
+    },
+    captions: {
+      isAvailable: () => findCaptionContainers().length > 0,
+      read: readCaptions,
+      anchor: () => {
+        const containers = findCaptionContainers();
+        return containers.length > 0 ? containers[0].element : null;
+      }
+    }
+  };
+
   const VIDEO_SELECTORS = [
     'video',
     'video.html5-main-video' // YouTube
   ];
 
+  // Text track kinds read as subtitles. Players also add metadata and
+  // chapters tracks, e.g. hls.js for ID3 tags, which are left alone.
+  const SUBTITLE_TRACK_KINDS = ['subtitles', 'captions'];
+
+  // Cue media: screenshots are scaled down to this width, audio clips stop
+  // after AUDIO_MAX_MS so long cues don't produce huge messages
+  const SCREENSHOT_MAX_WIDTH = 640;
+  const SCREENSHOT_QUALITY = 0.8;
+  const AUDIO_MAX_MS = 15000;
+  const AUDIO_BITS_PER_SECOND = 64000;
+  const AUDIO_MIME_TYPE = 'audio/webm;codecs=opus';
+
+  // Page changes are batched for this long before looking for the video again
+  const VIDEO_RESOLVE_DELAY_MS = 200;
+
+  // Delay before scanning the page after it changed. It doubles after every
+  // scan that finds nothing new, so pages without asbplayer are rarely scanned.
+  const SCAN_MIN_DELAY_MS = 100;
+  const SCAN_MAX_DELAY_MS = 5000;
+  // Longest wait for the page to become idle once a scan is due
+  const SCAN_IDLE_TIMEOUT_MS = 500;
+
+  // Media events forwarded to receivers as playback messages
+  const PLAYBACK_EVENTS = ['play', 'pause', 'seeking', 'seeked', 'ratechange', 'ended', 'loadedmetadata'];
+
   // Initialize
   function init() {
     console.log('[SubtitleStreamer] Content script loaded');
 
-    // Wait for DOM to be ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', setup);
-    } else {
+    loadContentSettings().then(() => {
+      // Wait for DOM to be ready
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', applySiteRules);
+      } else {
+        applySiteRules();
+      }
+    });
+  }
+
+  // Load settings and follow later changes
+  function loadContentSettings() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+      for (const key of Object.keys(contentSettings)) {
+        if (changes[key]) {
+          contentSettings[key] = changes[key].newValue;
+        }
+      }
+
+      if (SITE_SETTINGS.some(key => changes[key]) && document.readyState !== 'loading') {
+        applySiteRules();
+      }
+
+      if (changes.subtitleSources && running) {
+        updateActiveSource();
+        updateDiscovery();
+      }
+
+      // Cached lines were extracted with the old setting
+      if (changes.rubyInText) {
+        containerLines = new WeakMap();
+      }
+    });
+
+    return chrome.storage.sync.get(contentSettings).then((result) => {
+      contentSettings = { ...contentSettings, ...result };
+    });
+  }
+
+  // Start or stop observing depending on the site rules
+  function applySiteRules() {
+    const host = getSiteHost();
+    const allowed = isSiteAllowed(host, contentSettings);
+
+    if (allowed && !running) {
+      running = true;
       setup();
+    } else if (!allowed && running) {
+      console.log('[SubtitleStreamer] Site excluded by site rules, stopping:', host);
+      teardown();
+    } else if (!allowed) {
+      console.log('[SubtitleStreamer] Site excluded by site rules:', host);
+    }
+  }
+
+  // Host of the top-level page, so embedded players follow the page's rule
+  function getSiteHost() {
+    if (window.top === window) {
+      return location.hostname;
+    }
+
+    const origins = location.ancestorOrigins;
+    if (origins && origins.length > 0) {
+      try {
+        return new URL(origins[origins.length - 1]).hostname;
+      } catch (error) {
+        // Fall through to the frame's own host
+      }
     }
+    return location.hostname;
+  }
+
+  // Stop observing and forget the current cue
+  function teardown() {
+    running = false;
+
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    if (documentObserver) {
+      documentObserver.disconnect();
+      documentObserver = null;
+    }
+    if (removalObserver) {
+      removalObserver.disconnect();
+      removalObserver = null;
+    }
+    if (captionObserver) {
+      captionObserver.disconnect();
+      captionObserver = null;
+    }
+    boundContainers = [];
+    boundCaptions = [];
+    discoveryPaused = false;
+
+    document.removeEventListener('play', handleAnyVideoPlay, true);
+    clearTimeout(videoResolveTimeout);
+    clearTimeout(scanTimeout);
+    scanTimeout = null;
+
+    cancelPendingChange();
+    cancelMediaCapture();
+    activeSource = null;
+    activeCue = null;
+    currentSubtitle = '';
   }
 
   // Setup observers
@@ -49,22 +279,380 @@
     } else {
       console.log('[SubtitleStreamer] No containers found yet, waiting...');
     }
+    observeCaptions();
+    updateActiveSource();
 
-    // Also observe the entire document for dynamically added containers
+    // Also watch the page for containers added later
+    scanDelay = SCAN_MIN_DELAY_MS;
     observeDocument();
+    updateDiscovery();
+
+    // Media events don't bubble, but they can be caught on the way down
+    document.addEventListener('play', handleAnyVideoPlay, true);
   }
 
-  // Find video element
+  // Switch to the first enabled source that is on the page
+  function updateActiveSource() {
+    const names = (contentSettings.subtitleSources || []).filter(name => SUBTITLE_SOURCES[name]);
+    const source = names.find(name => SUBTITLE_SOURCES[name].isAvailable()) || null;
+    if (source === activeSource) {
+      return;
+    }
+
+    console.log('[SubtitleStreamer] Subtitle source:', source || 'none');
+    cancelPendingChange();
+    if (activeCue) {
+      endCue(Math.floor(getVideoContext().currentTime * 1000), 'cleared');
+    }
+    activeSource = source;
+    currentSubtitle = '';
+
+    // The new source's subtitles may sit on a different video
+    findVideoElement();
+    rescanSource();
+    updateDiscovery();
+  }
+
+  // A source may show something new, only the active source's cues are sent.
+  // Changes are read once they settle, so a second track line that shows up
+  // a moment after the first still goes out with its cue.
+  function handleSourceChange(name) {
+    if (name !== activeSource) {
+      return;
+    }
+
+    const now = Date.now();
+    if (!pendingChange) {
+      // The cue changed now, even if it is read a little later
+      pendingChange = {
+        source: name,
+        mediaTime: Math.floor(getVideoContext().currentTime * 1000),
+        since: now
+      };
+    }
+
+    clearTimeout(pendingTimeout);
+    const wait = Math.min(SETTLE_MS, pendingChange.since + SETTLE_MAX_MS - now);
+    pendingTimeout = setTimeout(flushPendingChange, Math.max(0, wait));
+  }
+
+  // Read the settled state of the source and send what changed
+  function flushPendingChange() {
+    const change = pendingChange;
+    pendingChange = null;
+    pendingTimeout = null;
+
+    if (change && change.source === activeSource) {
+      processReading(change.source, SUBTITLE_SOURCES[change.source].read(), change.mediaTime);
+    }
+  }
+
+  // Forget changes that a seek or source switch made stale
+  function cancelPendingChange() {
+    clearTimeout(pendingTimeout);
+    pendingTimeout = null;
+    pendingChange = null;
+  }
+
+  // Find the video the subtitles belong to: the one under the active source's
+  // subtitles, else the one in the same player, else the most prominent one.
+  // Pages can have trailers, ads or a player inside shadow roots besides it.
   function findVideoElement() {
-    for (const selector of VIDEO_SELECTORS) {
-      const element = document.querySelector(selector);
-      if (element) {
-        videoElement = element;
-        console.log('[SubtitleStreamer] Found video element:', selector);
-        return;
+    const began = performance.now();
+    discoveryStats.videoLookups++;
+    resolveVideoElement();
+    discoveryStats.videoLookupMs += performance.now() - began;
+  }
+
+  // Bind the video findVideoElement is looking for, or forget a removed one
+  function resolveVideoElement() {
+    const videos = Array.from(document.querySelectorAll(VIDEO_SELECTORS.join(',')));
+    const source = SUBTITLE_SOURCES[activeSource];
+    const anchor = source ? source.anchor() : null;
+    const playerVideos = anchor ? findPlayerVideos(anchor) : [];
+    const candidates = anchor ? [...new Set([...videos, ...playerVideos, ...findShadowVideosAt(anchor)])] : [];
+
+    const video = (anchor && (findVideoUnder(candidates, anchor) || pickProminentVideo(playerVideos))) ||
+      pickProminentVideo(videos);
+
+    if (!video) {
+      if (videoElement) {
+        console.log('[SubtitleStreamer] Video element removed, waiting for a new one');
+        videoElement = null;
+      }
+      return;
+    }
+
+    if (video !== videoElement) {
+      bindVideo(video);
+    }
+  }
+
+  // Current video, looked up again if it was never found or has left the page
+  function ensureVideoElement() {
+    if (!videoElement || !videoElement.isConnected) {
+      findVideoElement();
+    }
+    return videoElement;
+  }
+
+  // Look for the video again soon, batching bursts of page changes
+  function scheduleVideoResolve() {
+    if (videoResolveTimeout) {
+      return;
+    }
+    videoResolveTimeout = setTimeout(() => {
+      videoResolveTimeout = null;
+      if (running) {
+        findVideoElement();
+      }
+    }, VIDEO_RESOLVE_DELAY_MS);
+  }
+
+  // Another video started playing, it may be the one the subtitles are for
+  function handleAnyVideoPlay(event) {
+    if (event.target !== videoElement && event.target.matches && event.target.matches('video')) {
+      scheduleVideoResolve();
+    }
+  }
+
+  // Every video under a root, including ones inside open shadow roots.
+  // Only called on a player's subtree, never on the whole document.
+  function findAllVideos(root) {
+    const videos = Array.from(root.querySelectorAll(VIDEO_SELECTORS.join(',')));
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) {
+        videos.push(...findAllVideos(element.shadowRoot));
+      }
+    });
+    return videos;
+  }
+
+  // Video whose box holds the middle of the anchor, e.g. asbplayer's overlay on it
+  function findVideoUnder(videos, anchor) {
+    const center = getCenter(anchor);
+    if (!center) {
+      return null;
+    }
+
+    const { x, y } = center;
+    return pickProminentVideo(videos.filter(video => {
+      const box = video.getBoundingClientRect();
+      return x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+    }));
+  }
+
+  // Videos inside open shadow roots of the elements under the middle of the
+  // anchor. asbplayer's overlay can sit right under <body>, away from a player
+  // that keeps its video in a shadow root.
+  function findShadowVideosAt(anchor) {
+    const center = getCenter(anchor);
+    if (!center) {
+      return [];
+    }
+
+    const videos = [];
+    document.elementsFromPoint(center.x, center.y).forEach(element => {
+      if (element.shadowRoot) {
+        videos.push(...findAllVideos(element.shadowRoot));
+      }
+    });
+    return videos;
+  }
+
+  // Middle of an element on screen, or null if it has no box
+  function getCenter(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) {
+      return null;
+    }
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+
+  // Videos in the closest player element around the anchor, crossing shadow
+  // roots. Each level only searches the siblings not searched below it, and the
+  // walk stops before <body>, so shadow hosts are looked for in the player only.
+  function findPlayerVideos(anchor) {
+    let child = anchor;
+    let node = anchor.parentNode;
+    while (node && node !== document.body && node !== document.documentElement && node !== document) {
+      const videos = [];
+      Array.from(node.children).forEach(element => {
+        if (element === child) {
+          return;
+        }
+        if (element.matches(VIDEO_SELECTORS.join(','))) {
+          videos.push(element);
+        }
+        if (element.shadowRoot) {
+          videos.push(...findAllVideos(element.shadowRoot));
+        }
+        videos.push(...findAllVideos(element));
+      });
+      if (videos.length > 0) {
+        return videos;
+      }
+
+      child = node;
+      node = node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? node.host : node.parentNode;
+    }
+    return [];
+  }
+
+  // Playing videos before paused ones, then the largest on screen
+  function pickProminentVideo(videos) {
+    let best = null;
+    let bestPlaying = false;
+    let bestArea = -1;
+
+    for (const video of videos) {
+      const box = video.getBoundingClientRect();
+      const area = box.width * box.height;
+      const playing = !video.paused && !video.ended;
+      if ((playing && !bestPlaying) || (playing === bestPlaying && area > bestArea)) {
+        best = video;
+        bestPlaying = playing;
+        bestArea = area;
+      }
+    }
+    return best;
+  }
+
+  // Make a video the one whose time and events are reported
+  function bindVideo(video) {
+    const previous = videoElement;
+    videoElement = video;
+    attachVideoListeners(video);
+    attachTrackListeners(video);
+    console.log('[SubtitleStreamer] Bound to video:', video.currentSrc || '(no source yet)');
+
+    // The removal observer still watches where the old video was
+    if (discoveryPaused) {
+      resumeDiscovery();
+    }
+
+    // Switching to a video that plays something else is a new source for receivers
+    if (previous && video.currentSrc !== lastVideoSrc) {
+      lastVideoSrc = video.currentSrc;
+      observedCues = [];
+      sendPlayback('sourcechange');
+    } else {
+      lastVideoSrc = video.currentSrc;
+    }
+  }
+
+  // Track the playhead so cues interrupted by a seek get a correct end time,
+  // and forward playback events. Only the bound video's events count.
+  function attachVideoListeners(video) {
+    if (listenedVideos.has(video)) {
+      return;
+    }
+    listenedVideos.add(video);
+
+    const listen = (event, handler) => {
+      video.addEventListener(event, () => {
+        if (video === videoElement) {
+          handler();
+        }
+      });
+    };
+
+    PLAYBACK_EVENTS.forEach(event => {
+      listen(event, () => sendPlayback(event));
+    });
+
+    // Clips only cover the time the cue was actually playing
+    listen('pause', () => setRecordingPaused(true));
+    listen('play', () => setRecordingPaused(false));
+
+    // A new source starts loading, e.g. the next episode in the same player
+    listen('loadstart', () => {
+      if (video.currentSrc !== lastVideoSrc) {
+        lastVideoSrc = video.currentSrc;
+        observedCues = [];
+        sendPlayback('sourcechange');
+      }
+    });
+
+    listen('timeupdate', () => {
+      if (!video.seeking) {
+        lastPlaybackTime = video.currentTime;
+      }
+
+      // Throttled heartbeat so receivers can keep timers in sync
+      const interval = contentSettings.playbackHeartbeatMs;
+      const now = Date.now();
+      if (interval > 0 && !video.paused && now - lastHeartbeatTime >= interval) {
+        lastHeartbeatTime = now;
+        sendPlayback('timeupdate');
+      }
+    });
+
+    listen('seeking', () => {
+      // currentTime already points at the seek target here, so close the
+      // cue at the last position we saw before the jump
+      cancelPendingChange();
+      if (activeCue) {
+        endCue(Math.floor(lastPlaybackTime * 1000), 'seek');
       }
+      currentSubtitle = '';
+    });
+
+    listen('seeked', () => {
+      lastPlaybackTime = video.currentTime;
+      // A cue still shown after the seek is treated as a new appearance
+      rescanSource();
+    });
+  }
+
+  // Follow the video's text tracks for the textTracks source
+  function attachTrackListeners(video) {
+    const tracks = video.textTracks;
+    if (!tracks || listenedTracks.has(tracks)) {
+      return;
+    }
+    listenedTracks.add(tracks);
+
+    const onTracksChanged = () => {
+      Array.from(tracks).forEach(track => {
+        if (SUBTITLE_TRACK_KINDS.includes(track.kind) && !listenedTracks.has(track)) {
+          listenedTracks.add(track);
+          track.addEventListener('cuechange', handleTrackCueChange);
+        }
+      });
+      if (running) {
+        updateActiveSource();
+        handleSourceChange('textTracks');
+      }
+    };
+
+    // 'change' fires when a track is turned on or off
+    tracks.addEventListener('addtrack', onTracksChanged);
+    tracks.addEventListener('removetrack', onTracksChanged);
+    tracks.addEventListener('change', onTracksChanged);
+    onTracksChanged();
+  }
+
+  // Cues of a track changed. Tracks can turn readable late, once their cues
+  // load, so this is also when textTracks may take over from a lower source.
+  function handleTrackCueChange() {
+    if (running && outranksActiveSource('textTracks')) {
+      updateActiveSource();
+    }
+    handleSourceChange('textTracks');
+  }
+
+  // Whether a source comes before the active one in the priority setting
+  function outranksActiveSource(name) {
+    const names = contentSettings.subtitleSources || [];
+    return names.includes(name) && (activeSource === null || names.indexOf(name) < names.indexOf(activeSource));
+  }
+
+  // Re-read the active source outside of its change events
+  function rescanSource() {
+    if (activeSource) {
+      processReading(activeSource, SUBTITLE_SOURCES[activeSource].read());
     }
-    console.log('[SubtitleStreamer] No video element found yet');
   }
 
   // Find subtitle containers
@@ -82,6 +670,7 @@
     if (observer) {
       observer.disconnect();
     }
+    boundContainers = containers;
 
     observer = new MutationObserver((mutations) => {
       handleSubtitleChange(mutations);
@@ -98,42 +687,18 @@
     });
   }
 
-  // Observe document for new containers
+  // Watch the page for containers and videos coming and going. The callback
+  // only schedules a scan, so bursts of page changes cost one scan.
   function observeDocument() {
-    const documentObserver = new MutationObserver((mutations) => {
-      let foundNew = false;
-
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if this is a subtitle container
-            for (const selector of SUBTITLE_SELECTORS) {
-              if (node.matches && node.matches(selector)) {
-                foundNew = true;
-                break;
-              }
-              // Also check descendants
-              if (node.querySelector && node.querySelector(selector)) {
-                foundNew = true;
-                break;
-              }
-            }
-          }
-        }
-      }
-
-      if (foundNew) {
-        console.log('[SubtitleStreamer] New containers detected, re-initializing...');
-        const containers = findSubtitleContainers();
-        if (containers.length > 0) {
-          observeContainers(containers);
-        }
-      }
+    if (documentObserver || discoveryPaused) {
+      return;
+    }
 
-      // Also try to find video if we haven't yet
-      if (!videoElement) {
-        findVideoElement();
-      }
+    documentObserver = new MutationObserver(() => {
+      const began = performance.now();
+      discoveryStats.callbacks++;
+      scheduleScan();
+      discoveryStats.timeMs += performance.now() - began;
     });
 
     documentObserver.observe(document.body, {
@@ -142,53 +707,824 @@
     });
   }
 
+  // Scan the page after the current delay, once it is idle
+  function scheduleScan() {
+    if (scanTimeout) {
+      return;
+    }
+    scanTimeout = setTimeout(() => {
+      if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(runScan, { timeout: SCAN_IDLE_TIMEOUT_MS });
+      } else {
+        runScan();
+      }
+    }, scanDelay);
+  }
+
+  // Scan unless discovery stopped while waiting for the page to be idle
+  function runScan() {
+    scanTimeout = null;
+    if (!running || discoveryPaused) {
+      return;
+    }
+
+    const began = performance.now();
+    discoveryStats.scans++;
+    const changed = scanPage();
+    discoveryStats.timeMs += performance.now() - began;
+
+    // Back off while the page changes in ways that don't matter to us
+    scanDelay = changed ? SCAN_MIN_DELAY_MS : Math.min(scanDelay * 2, SCAN_MAX_DELAY_MS);
+    updateDiscovery();
+  }
+
+  // Bind containers that appeared or left since the last scan. Returns
+  // whether anything we read from changed.
+  function scanPage() {
+    const containers = findSubtitleContainers();
+    const foundNew = containers.some(container => !boundContainers.includes(container));
+    const lostOld = boundContainers.some(container => !container.isConnected);
+    if (foundNew) {
+      console.log('[SubtitleStreamer] New containers detected, re-initializing...');
+    }
+    if (foundNew || lostOld) {
+      if (containers.length > 0) {
+        observeContainers(containers);
+      } else {
+        observer.disconnect();
+        observer = null;
+        boundContainers = [];
+      }
+    }
+
+    // Player caption containers come and go with the player
+    const captions = findCaptionContainers().map(({ element }) => element);
+    const foundCaptions = captions.some(element => !boundCaptions.includes(element)) ||
+      boundCaptions.some(element => !element.isConnected);
+    if (foundCaptions) {
+      observeCaptions();
+    }
+
+    // Pick a source again when one appeared or the active one went away
+    const lostSource = activeSource && !SUBTITLE_SOURCES[activeSource].isAvailable();
+    if (foundNew || foundCaptions || lostSource) {
+      updateActiveSource();
+    }
+
+    // Find the video again if there is none yet, it was replaced (e.g. by SPA
+    // navigation), or new subtitles may belong to another one
+    const lostVideo = !videoElement || !videoElement.isConnected;
+    if (lostVideo || foundNew || foundCaptions) {
+      scheduleVideoResolve();
+    }
+
+    return foundNew || lostOld || foundCaptions || lostSource;
+  }
+
+  // Only asbplayer's containers need watching while they are bound and the
+  // active source, unless player captions rank above asbplayer
+  function canPauseDiscovery() {
+    const sources = contentSettings.subtitleSources || [];
+    const higher = sources.slice(0, sources.indexOf('asbplayer'));
+    return activeSource === 'asbplayer' &&
+      boundContainers.length > 0 &&
+      boundContainers.every(container => container.isConnected) &&
+      Boolean(videoElement && videoElement.isConnected) &&
+      !higher.includes('captions');
+  }
+
+  // Stop or resume the document observer as the page allows
+  function updateDiscovery() {
+    if (!running) {
+      return;
+    }
+
+    const pause = canPauseDiscovery();
+    if (pause && !discoveryPaused) {
+      pauseDiscovery();
+    } else if (!pause && discoveryPaused) {
+      resumeDiscovery();
+    }
+  }
+
+  // Swap the document observer for one on the ancestors of the containers
+  // and the video, which only sees their direct children change
+  function pauseDiscovery() {
+    console.log('[SubtitleStreamer] Containers bound, pausing page observation');
+    discoveryPaused = true;
+    if (documentObserver) {
+      documentObserver.disconnect();
+      documentObserver = null;
+    }
+    clearTimeout(scanTimeout);
+    scanTimeout = null;
+
+    const selector = SUBTITLE_SELECTORS.join(',');
+    removalObserver = new MutationObserver((mutations) => {
+      const began = performance.now();
+      discoveryStats.callbacks++;
+
+      // A container or the video left, or asbplayer added another container
+      const removed = [...boundContainers, videoElement].some(node => !node || !node.isConnected);
+      const added = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+        node.nodeType === Node.ELEMENT_NODE && node.matches(selector)
+      ));
+      if (removed || added) {
+        resumeDiscovery();
+      }
+      discoveryStats.timeMs += performance.now() - began;
+    });
+
+    getAncestors([...boundContainers, videoElement]).forEach(node => {
+      removalObserver.observe(node, { childList: true });
+    });
+  }
+
+  // Watch the whole page again and scan it right away
+  function resumeDiscovery() {
+    console.log('[SubtitleStreamer] Resuming page observation');
+    discoveryPaused = false;
+    if (removalObserver) {
+      removalObserver.disconnect();
+      removalObserver = null;
+    }
+
+    scanDelay = SCAN_MIN_DELAY_MS;
+    observeDocument();
+    scheduleScan();
+  }
+
+  // Parents of the nodes up to the document, through shadow root hosts
+  function getAncestors(nodes) {
+    const ancestors = new Set();
+    nodes.forEach(node => {
+      let parent = node.parentNode;
+      while (parent && !ancestors.has(parent)) {
+        ancestors.add(parent);
+        parent = parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? parent.host : parent.parentNode;
+      }
+    });
+    return Array.from(ancestors);
+  }
+
+  // Counters for checking discovery overhead on a page
+  function getDiscoveryStats() {
+    return {
+      ...discoveryStats,
+      timeMs: Math.round(discoveryStats.timeMs * 10) / 10,
+      videoLookupMs: Math.round(discoveryStats.videoLookupMs * 10) / 10,
+      paused: discoveryPaused,
+      scanDelay
+    };
+  }
+
   // Handle subtitle changes
   function handleSubtitleChange(mutations) {
-    // Find the container that changed
-    const container = mutations[0].target.closest(SUBTITLE_SELECTORS.join(','));
-    if (!container) return;
-
-    // Extract individual subtitle lines with track numbers
-    const spans = container.querySelectorAll('span[data-track]');
-    const lines = Array.from(spans).map(span => ({
-      text: span.textContent.trim(),
-      track: parseInt(span.dataset.track || '0', 10)
-    }));
+    // Every container touched in this batch, top and bottom alike
+    const selector = SUBTITLE_SELECTORS.join(',');
+    const changed = new Set();
+    for (const mutation of mutations) {
+      const target = mutation.target;
+      const element = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+      const container = element && element.closest(selector);
+      if (container) {
+        changed.add(container);
+      }
+    }
 
-    // Combine all lines for comparison (backward compatibility)
-    const text = lines.map(l => l.text).join('\n');
+    if (changed.size > 0) {
+      changed.forEach(container => containerLines.delete(container));
+      handleSourceChange('asbplayer');
+    }
+  }
 
-    // Debounce and check if changed
-    const now = Date.now();
-    if (text === currentSubtitle || (now - lastSentTime) < DEBOUNCE_MS) {
+  // Lines of asbplayer's subtitle containers, top and bottom. Containers that
+  // didn't change since they were last read keep their lines.
+  function readAsbplayer() {
+    const lines = [];
+    findSubtitleContainers().forEach(container => {
+      if (!containerLines.has(container)) {
+        // Extract individual subtitle lines with track numbers
+        const spans = container.querySelectorAll('span[data-track]');
+        containerLines.set(container, Array.from(spans).map(extractLine));
+      }
+      lines.push(...containerLines.get(container));
+    });
+    return { lines, start: null, end: null };
+  }
+
+  // Text tracks whose cues can be read: the browser only loads cues of
+  // tracks that are showing or hidden, so disabled ones are left alone
+  function getReadableTracks() {
+    if (!videoElement || !videoElement.textTracks) {
+      return [];
+    }
+    return Array.from(videoElement.textTracks)
+      .map((track, index) => ({ track, index }))
+      .filter(({ track }) => SUBTITLE_TRACK_KINDS.includes(track.kind) &&
+        track.mode !== 'disabled' && track.cues && track.cues.length > 0);
+  }
+
+  // Active cues of the video's text tracks. The lines are on screen together
+  // from the latest cue start to the earliest cue end.
+  function readTextTracks() {
+    const lines = [];
+    let start = null;
+    let end = null;
+
+    getReadableTracks().forEach(({ track, index }) => {
+      for (const cue of Array.from(track.activeCues || [])) {
+        const text = getCueText(cue);
+        lines.push({ text, track: index, segments: [{ text }] });
+        start = start === null ? cue.startTime : Math.max(start, cue.startTime);
+        end = end === null ? cue.endTime : Math.min(end, cue.endTime);
+      }
+    });
+
+    return {
+      lines,
+      start: start === null ? null : Math.floor(start * 1000),
+      end: end === null ? null : Math.floor(end * 1000)
+    };
+  }
+
+  // Caption containers of supported players on the page
+  function findCaptionContainers() {
+    const containers = [];
+    for (const renderer of CAPTION_RENDERERS) {
+      document.querySelectorAll(renderer.container).forEach(element => {
+        containers.push({ renderer, element });
+      });
+    }
+    return containers;
+  }
+
+  // Watch the players' caption containers
+  function observeCaptions() {
+    if (captionObserver) {
+      captionObserver.disconnect();
+    }
+
+    const containers = findCaptionContainers();
+    boundCaptions = containers.map(({ element }) => element);
+    if (containers.length === 0) {
+      captionObserver = null;
       return;
     }
 
+    captionObserver = new MutationObserver(() => handleSourceChange('captions'));
+    containers.forEach(({ renderer, element }) => {
+      captionObserver.observe(element, { childList: true, subtree: true, characterData: true });
+      console.log('[SubtitleStreamer] Observing captions of player:', renderer.player);
+    });
+  }
+
+  // Lines shown by the players' own caption renderers, one track per caption window
+  function readCaptions() {
+    const lines = [];
+    findCaptionContainers().forEach(({ renderer, element }) => {
+      element.querySelectorAll(renderer.window).forEach(captionWindow => {
+        const parts = renderer.line
+          ? Array.from(captionWindow.querySelectorAll(renderer.line))
+          : [captionWindow];
+        const text = parts.map(part => part.textContent.trim()).filter(Boolean).join('\n');
+        if (text) {
+          lines.push({ text, track: lines.length, segments: [{ text }] });
+        }
+      });
+    });
+    return { lines, start: null, end: null };
+  }
+
+  // Turn what a source shows into cue start/end events. `changeTime` is the
+  // media time in ms when the change began, by default now.
+  function processReading(source, reading, changeTime) {
+    const lines = reading.lines;
+
+    // Combine all lines for comparison (backward compatibility)
+    const text = lines.map(l => l.text).join('\n');
+    if (text === currentSubtitle) {
+      return;
+    }
     currentSubtitle = text;
-    lastSentTime = now;
 
     // Get video context
     const videoContext = getVideoContext();
+    const mediaTime = changeTime !== undefined ? changeTime : Math.floor(videoContext.currentTime * 1000);
+
+    // Whatever was on screen before has now disappeared
+    const previousLines = activeCue ? activeCue.lines : [];
+    if (activeCue) {
+      endCue(mediaTime, text ? 'replaced' : 'cleared', videoContext, lines);
+    }
 
     // Send to background script
     if (text) {
-      console.log('[SubtitleStreamer] Subtitle:', text);
+      console.log(`[SubtitleStreamer] Subtitle (${source}):`, text);
       console.log('[SubtitleStreamer] Lines:', lines);
-      sendSubtitle(text, lines, videoContext);
+      activeCue = {
+        text,
+        lines,
+        start: reading.start !== null ? reading.start : mediaTime,
+        knownEnd: reading.end,
+        source,
+        changedTracks: getChangedTracks(previousLines, lines)
+      };
+      lastCue = activeCue;
+      sendSubtitle(activeCue, videoContext);
+      startMediaCapture(activeCue);
+    }
+  }
+
+  // Turn a track span into { text, track, segments }
+  function extractLine(span) {
+    const segments = mergeSegments(extractSegments(span, {}, []));
+
+    // Trim like textContent.trim() did, but per segment so markup survives
+    if (segments.length > 0) {
+      segments[0].text = segments[0].text.replace(/^\s+/, '');
+      const last = segments[segments.length - 1];
+      last.text = last.text.replace(/\s+$/, '');
+    }
+    const trimmed = segments.filter(segment => segment.text || segment.ruby);
+
+    return {
+      text: segmentsToText(trimmed, contentSettings.rubyInText),
+      track: parseInt(span.dataset.track || '0', 10),
+      segments: trimmed
+    };
+  }
+
+  // Walk a node and collect text segments, separating ruby readings from
+  // base text and carrying bold/italic/underline/color down from ancestors
+  function extractSegments(node, style, segments) {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (child.nodeValue) {
+          segments.push({ text: child.nodeValue, ...style });
+        }
+        continue;
+      }
+
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        continue;
+      }
+
+      const tag = child.tagName.toLowerCase();
+      if (tag === 'rt' || tag === 'rp') {
+        continue; // Only meaningful inside <ruby>
+      }
+      if (tag === 'br') {
+        segments.push({ text: '\n', ...style });
+        continue;
+      }
+
+      const childStyle = getElementStyle(child, style);
+      if (tag === 'ruby') {
+        extractRuby(child, childStyle, segments);
+      } else {
+        extractSegments(child, childStyle, segments);
+      }
+    }
+    return segments;
+  }
+
+  // <ruby>漢<rt>かん</rt>字<rt>じ</rt></ruby> gives one segment per base/reading pair
+  function extractRuby(ruby, style, segments) {
+    let base = '';
+
+    for (const child of ruby.childNodes) {
+      const tag = child.nodeType === Node.ELEMENT_NODE ? child.tagName.toLowerCase() : null;
+
+      if (tag === 'rt') {
+        segments.push({ text: base, ruby: child.textContent, ...style });
+        base = '';
+      } else if (tag !== 'rp') {
+        base += child.textContent;
+      }
+    }
+
+    if (base) {
+      segments.push({ text: base, ...style });
+    }
+  }
+
+  // Style markers an element adds on top of its parent's
+  function getElementStyle(element, parentStyle) {
+    const style = { ...parentStyle };
+    const tag = element.tagName.toLowerCase();
+    const inline = element.style || {};
+
+    if (tag === 'b' || tag === 'strong' || inline.fontWeight === 'bold' || parseInt(inline.fontWeight, 10) >= 600) {
+      style.bold = true;
+    }
+    if (tag === 'i' || tag === 'em' || inline.fontStyle === 'italic') {
+      style.italic = true;
+    }
+    if (tag === 'u' || (inline.textDecoration || '').includes('underline')) {
+      style.underline = true;
+    }
+
+    const color = inline.color || (tag === 'font' ? element.getAttribute('color') : null);
+    if (color) {
+      style.color = color;
+    }
+    return style;
+  }
+
+  // Join neighbouring plain segments that share the same style
+  function mergeSegments(segments) {
+    const merged = [];
+    for (const segment of segments) {
+      const previous = merged[merged.length - 1];
+      if (previous && !previous.ruby && !segment.ruby && sameStyle(previous, segment)) {
+        previous.text += segment.text;
+      } else {
+        merged.push({ ...segment });
+      }
+    }
+    return merged;
+  }
+
+  function sameStyle(a, b) {
+    return a.bold === b.bold && a.italic === b.italic && a.underline === b.underline && a.color === b.color;
+  }
+
+  // Plain text of a line, with readings only if asked for
+  function segmentsToText(segments, includeRuby) {
+    return segments.map(segment =>
+      includeRuby && segment.ruby ? `${segment.text}(${segment.ruby})` : segment.text
+    ).join('');
+  }
+
+  // Close the active cue and report its measured boundaries
+  // `nextLines` are the lines that replaced the cue, if any
+  function endCue(end, reason, videoContext = getVideoContext(), nextLines = []) {
+    const cue = activeCue;
+    activeCue = null;
+
+    // Seeking backwards can put the playhead before the cue start. An exact end
+    // from the source holds unless the cue was cut short by a seek.
+    const measuredEnd = Math.max(end, cue.start);
+    const cueEnd = cue.knownEnd !== null && reason !== 'seek' ? Math.min(cue.knownEnd, measuredEnd) : measuredEnd;
+    cue.end = cueEnd;
+
+    const message = {
+      type: 'subtitle_end',
+      timestamp: Date.now(),
+      reason: reason, // 'cleared', 'replaced' or 'seek'
+      source: cue.source,
+      changedTracks: getChangedTracks(cue.lines, nextLines), // Tracks that went away or changed
+      video: videoContext,
+      subtitle: {
+        text: cue.text,
+        lines: cue.lines,
+        start: cue.start,
+        end: cueEnd
+      }
+    };
+
+    console.log(`[SubtitleStreamer] Subtitle ended (${reason}):`, cue.text);
+    sendMessage(message);
+    finishMediaCapture(cue, message);
+    rememberCue(message.subtitle);
+  }
+
+  // Track numbers whose text differs between two sets of lines, including
+  // tracks that appeared or went away
+  function getChangedTracks(before, after) {
+    const byTrack = (lines) => {
+      const texts = new Map();
+      lines.forEach(line => {
+        texts.set(line.track, texts.has(line.track) ? `${texts.get(line.track)}\n${line.text}` : line.text);
+      });
+      return texts;
+    };
+
+    const previous = byTrack(before);
+    const current = byTrack(after);
+    const tracks = new Set([...previous.keys(), ...current.keys()]);
+    return Array.from(tracks)
+      .filter(track => previous.get(track) !== current.get(track))
+      .sort((a, b) => a - b);
+  }
+
+  // Keep an ended cue for context, once per start time and text
+  function rememberCue(subtitle) {
+    const cue = {
+      text: subtitle.text,
+      lines: subtitle.lines.map(line => ({ text: line.text, track: line.track })),
+      start: subtitle.start,
+      end: subtitle.end
+    };
+
+    observedCues = observedCues.filter(c => c.start !== cue.start || c.text !== cue.text);
+    observedCues.push(cue);
+    observedCues.sort((a, b) => a.start - b.start);
+
+    // Drop the cues furthest from this one, which are the least likely context
+    while (observedCues.length > OBSERVED_CUES_LIMIT) {
+      const first = observedCues[0];
+      const last = observedCues[observedCues.length - 1];
+      if (cue.start - first.start > last.start - cue.start) {
+        observedCues.shift();
+      } else {
+        observedCues.pop();
+      }
+    }
+  }
+
+  // Neighbouring cues of a cue starting at `start`, or null when turned off
+  function getCueContext(start) {
+    const before = contentSettings.contextBefore;
+    const after = contentSettings.contextAfter;
+    if (!(before > 0) && !(after > 0)) {
+      return null;
+    }
+
+    return {
+      previous: before > 0 ? observedCues.filter(cue => cue.end <= start).slice(-before) : [],
+      next: after > 0 ? getUpcomingCues(start, after) : []
+    };
+  }
+
+  // Cues after `start` from the video's own text tracks, which hold the full
+  // cue list when the page loaded one. asbplayer's subtitles aren't in them,
+  // so there is nothing upcoming for videos with only asbplayer subtitles.
+  function getUpcomingCues(start, count) {
+    if (!videoElement || !videoElement.textTracks) {
+      return [];
+    }
+
+    // Cues with the same timing on several tracks become one cue with several lines
+    const byTime = new Map();
+    Array.from(videoElement.textTracks).forEach((track, index) => {
+      // Disabled tracks don't load their cues
+      if (!SUBTITLE_TRACK_KINDS.includes(track.kind) || track.mode === 'disabled' || !track.cues) {
+        return;
+      }
+
+      let found = 0;
+      for (const cue of Array.from(track.cues)) {
+        const cueStart = Math.floor(cue.startTime * 1000);
+        if (cueStart <= start) {
+          continue;
+        }
+        if (found++ >= count) {
+          break;
+        }
+
+        const cueEnd = Math.floor(cue.endTime * 1000);
+        const key = `${cueStart}:${cueEnd}`;
+        if (!byTime.has(key)) {
+          byTime.set(key, { text: '', lines: [], start: cueStart, end: cueEnd });
+        }
+        byTime.get(key).lines.push({ text: getCueText(cue), track: index });
+      }
+    });
+
+    return Array.from(byTime.values())
+      .sort((a, b) => a.start - b.start)
+      .slice(0, count)
+      .map(cue => ({ ...cue, text: cue.lines.map(line => line.text).join('\n') }));
+  }
+
+  // Plain text of a text track cue, without WebVTT tags
+  function getCueText(cue) {
+    if (typeof cue.getCueAsHTML === 'function') {
+      return cue.getCueAsHTML().textContent.trim();
+    }
+    return (cue.text || '').replace(/<[^>]*>/g, '').trim();
+  }
+
+  // Kinds of media that at least one enabled destination wants
+  function getWantedMedia() {
+    const destinations = (contentSettings.destinations || []).filter(d => d.enabled);
+    return {
+      screenshot: destinations.some(d => d.mediaScreenshot),
+      audio: destinations.some(d => d.mediaAudio)
+    };
+  }
+
+  // Take a screenshot and start recording audio for a cue that just appeared
+  function startMediaCapture(cue) {
+    cancelMediaCapture();
+
+    const wanted = getWantedMedia();
+    if (!videoElement || (!wanted.screenshot && !wanted.audio)) {
+      return;
+    }
+
+    mediaCapture = {
+      cue,
+      screenshot: wanted.screenshot ? captureScreenshot(videoElement) : Promise.resolve(null),
+      audio: wanted.audio ? startAudioRecording(videoElement) : null
+    };
+  }
+
+  // Stop recording and send what was captured for a cue that ended
+  function finishMediaCapture(cue, endMessage) {
+    if (!mediaCapture || mediaCapture.cue !== cue) {
+      return;
+    }
+
+    const capture = mediaCapture;
+    mediaCapture = null;
+
+    const audio = capture.audio ? stopAudioRecording(capture.audio) : Promise.resolve(null);
+    Promise.all([capture.screenshot, audio]).then(([screenshot, clip]) => {
+      if (!screenshot && !clip) {
+        return;
+      }
+
+      sendMessage({
+        type: 'cue_media',
+        timestamp: Date.now(),
+        source: endMessage.source,
+        video: endMessage.video,
+        subtitle: endMessage.subtitle,
+        screenshot: screenshot, // { mimeType, width, height, data } or null
+        audio: clip // { mimeType, data } or null
+      });
+    });
+  }
+
+  // Throw away a capture that won't be sent
+  function cancelMediaCapture() {
+    if (mediaCapture && mediaCapture.audio) {
+      const { recorder, timer } = mediaCapture.audio;
+      clearTimeout(timer);
+      recorder.ondataavailable = null;
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    }
+    mediaCapture = null;
+  }
+
+  // JPEG of the current frame, from a canvas or, when the video is
+  // cross-origin and taints it, from a capture of the tab
+  function captureScreenshot(video) {
+    if (!video.videoWidth) {
+      return Promise.resolve(null);
+    }
+
+    const scale = Math.min(1, SCREENSHOT_MAX_WIDTH / video.videoWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+
+    try {
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      const dataUrl = canvas.toDataURL('image/jpeg', SCREENSHOT_QUALITY);
+      return Promise.resolve({
+        mimeType: 'image/jpeg',
+        width: canvas.width,
+        height: canvas.height,
+        data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+      });
+    } catch (error) {
+      return captureTabScreenshot(video);
     }
   }
 
+  // Ask the background script to capture the tab, cropped to the video.
+  // Only the top frame knows where the video is on screen.
+  function captureTabScreenshot(video) {
+    const bounds = video.getBoundingClientRect();
+    const rect = window.top === window
+      ? { x: bounds.left, y: bounds.top, width: bounds.width, height: bounds.height }
+      : null;
+
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'captureFrame',
+        rect: rect,
+        devicePixelRatio: window.devicePixelRatio,
+        maxWidth: SCREENSHOT_MAX_WIDTH
+      }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.ok) {
+          console.warn('[SubtitleStreamer] Screenshot failed:',
+            chrome.runtime.lastError || (response && response.error));
+          resolve(null);
+          return;
+        }
+        resolve(response.screenshot);
+      });
+    });
+  }
+
+  // Stream of the video's audio, captured once per element
+  function getCapturedStream(video) {
+    if (!capturedStreams.has(video)) {
+      try {
+        capturedStreams.set(video, video.captureStream());
+      } catch (error) {
+        // Cross-origin media without CORS can't be captured
+        console.warn('[SubtitleStreamer] Cannot capture video audio:', error.message);
+        capturedStreams.set(video, null);
+      }
+    }
+    return capturedStreams.get(video);
+  }
+
+  // Start recording the video's audio until the cue ends or AUDIO_MAX_MS passes
+  function startAudioRecording(video) {
+    const stream = getCapturedStream(video);
+    const tracks = stream ? stream.getAudioTracks() : [];
+    if (tracks.length === 0) {
+      return null;
+    }
+
+    let recorder;
+    try {
+      recorder = new MediaRecorder(new MediaStream(tracks), {
+        mimeType: MediaRecorder.isTypeSupported(AUDIO_MIME_TYPE) ? AUDIO_MIME_TYPE : '',
+        audioBitsPerSecond: AUDIO_BITS_PER_SECOND
+      });
+    } catch (error) {
+      console.warn('[SubtitleStreamer] Cannot record audio:', error.message);
+      return null;
+    }
+
+    const chunks = [];
+    const done = new Promise((resolve) => {
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      };
+      recorder.onstop = () => {
+        resolve(chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType }) : null);
+      };
+      recorder.onerror = () => resolve(null);
+    });
+
+    recorder.start();
+    if (video.paused) {
+      recorder.pause();
+    }
+
+    const timer = setTimeout(() => {
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    }, AUDIO_MAX_MS);
+
+    return { recorder, done, timer };
+  }
+
+  // Stop a recording and encode the clip for sending
+  function stopAudioRecording(audio) {
+    clearTimeout(audio.timer);
+    if (audio.recorder.state !== 'inactive') {
+      audio.recorder.stop();
+    }
+
+    return audio.done.then((blob) => {
+      if (!blob) {
+        return null;
+      }
+      return blobToBase64(blob).then(data => ({ mimeType: blob.type, data: data }));
+    }).catch((error) => {
+      console.warn('[SubtitleStreamer] Cannot encode audio:', error);
+      return null;
+    });
+  }
+
+  // Pause the recording along with the video
+  function setRecordingPaused(paused) {
+    const recorder = mediaCapture && mediaCapture.audio && mediaCapture.audio.recorder;
+    if (!recorder) {
+      return;
+    }
+    if (paused && recorder.state === 'recording') {
+      recorder.pause();
+    } else if (!paused && recorder.state === 'paused') {
+      recorder.resume();
+    }
+  }
+
+  // Base64 of a blob, without the data URL prefix
+  function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
   // Get video context
   function getVideoContext() {
-    if (!videoElement) {
-      findVideoElement();
-    }
+    ensureVideoElement();
 
     if (videoElement) {
       return {
         currentTime: videoElement.currentTime,
         duration: videoElement.duration || 0,
         paused: videoElement.paused,
+        playbackRate: videoElement.playbackRate,
         url: window.location.href
       };
     }
@@ -197,24 +1533,57 @@
       currentTime: 0,
       duration: 0,
       paused: true,
+      playbackRate: 1,
       url: window.location.href
     };
   }
 
+  // Send a playback event to background script
+  function sendPlayback(event) {
+    const message = {
+      type: 'playback',
+      event: event,
+      timestamp: Date.now(),
+      video: getVideoContext()
+    };
+
+    if (event === 'sourcechange') {
+      message.src = lastVideoSrc;
+    }
+
+    sendMessage(message);
+  }
+
   // Send subtitle to background script
-  function sendSubtitle(text, lines, videoContext) {
+  function sendSubtitle(cue, videoContext) {
     const message = {
       type: 'subtitle',
       timestamp: Date.now(),
+      source: cue.source, // 'asbplayer', 'textTracks' or 'captions'
+      changedTracks: cue.changedTracks, // Tracks that are new or differ from the cue before
       video: videoContext,
       subtitle: {
-        text: text, // Combined text for backward compatibility
-        lines: lines, // Array of {text, track} objects
-        start: Math.floor(videoContext.currentTime * 1000),
-        end: Math.floor(videoContext.currentTime * 1000) + 2000 // Estimate 2s duration
+        text: cue.text, // Combined text for backward compatibility
+        lines: cue.lines, // Array of {text, track} objects
+        start: cue.start,
+        end: cue.knownEnd // Only known up front from text tracks, otherwise see subtitle_end
       }
     };
 
+    const context = getCueContext(message.subtitle.start);
+    if (context) {
+      message.context = context;
+    }
+
+    sendMessage(message);
+  }
+
+  // Send a message to the background script
+  function sendMessage(message) {
+    if (!running) {
+      return;
+    }
+
     chrome.runtime.sendMessage(message, (response) => {
       if (chrome.runtime.lastError) {
         console.error('[SubtitleStreamer] Error sending message:', chrome.runtime.lastError);
@@ -222,6 +1591,97 @@
     });
   }
 
+  // Handle playback commands forwarded from a receiver
+  function handleCommand(command, params, sendResponse) {
+    // Excluded sites don't take part in streaming or playback control
+    if (!running) {
+      return false;
+    }
+
+    // Frames without a video stay silent so the one that has it can answer
+    if (!ensureVideoElement()) {
+      return false;
+    }
+
+    const video = videoElement;
+    const reply = (result) => sendResponse({ ok: true, result: result || getPlaybackState() });
+    const fail = (code, message) => sendResponse({ ok: false, error: { code, message } });
+
+    switch (command) {
+      case 'play':
+        video.play().then(() => reply(), error => fail('playback_failed', error.message));
+        return true;
+
+      case 'pause':
+        video.pause();
+        reply();
+        return false;
+
+      case 'seek':
+        if (typeof params.time !== 'number' || !isFinite(params.time) || params.time < 0) {
+          fail('invalid_params', 'seek requires a non-negative numeric "time" in seconds');
+          return false;
+        }
+        video.currentTime = params.time;
+        reply();
+        return false;
+
+      case 'replayCurrentCue': {
+        const cue = activeCue || lastCue;
+        if (!cue) {
+          fail('no_cue', 'No subtitle has been shown yet');
+          return false;
+        }
+        video.currentTime = cue.start / 1000;
+        video.play().then(() => reply(), error => fail('playback_failed', error.message));
+        return true;
+      }
+
+      case 'setPlaybackRate':
+        if (typeof params.rate !== 'number' || !(params.rate > 0) || params.rate > 16) {
+          fail('invalid_params', 'setPlaybackRate requires a numeric "rate" between 0 and 16');
+          return false;
+        }
+        video.playbackRate = params.rate;
+        reply();
+        return false;
+
+      case 'getState':
+        reply();
+        return false;
+
+      default:
+        fail('unknown_command', `Unknown command: ${command}`);
+        return false;
+    }
+  }
+
+  // Get the state reported back to receivers after a command
+  function getPlaybackState() {
+    const cue = activeCue || lastCue;
+    return {
+      ...getVideoContext(),
+      subtitle: cue ? {
+        text: cue.text,
+        lines: cue.lines,
+        start: cue.start,
+        end: cue === activeCue ? null : cue.end,
+        source: cue.source,
+        active: cue === activeCue
+      } : null
+    };
+  }
+
+  // Listen for messages from background script
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'command') {
+      return handleCommand(message.command, message.params || {}, sendResponse);
+    }
+    if (message.type === 'getDiscoveryStats' && running) {
+      sendResponse(getDiscoveryStats());
+    }
+  });
+
   // Start
   init();
 })();
@@ -12,6 +12,7 @@ Requirements:
 Usage:
     1. Install dependencies: pip install websockets
     2. Run: python example_receiver.py
+       (set SUBTITLE_SECRET=... to require the destination's shared secret)
     3. Open Chrome extension settings and verify connection is green
     4. Play a video with asbplayer and loaded subtitles
     5. Watch subtitles appear in this console!
@@ -22,10 +23,17 @@ Note: Written by Claude (Anthropic) and examined by a human.
 """
 
 import asyncio
+import hashlib
+import hmac
+import os
+import secrets
 import websockets
 import json
 from datetime import datetime
 
+# Shared secret the extension must prove it knows, None = no auth
+SECRET = os.environ.get('SUBTITLE_SECRET')
+
 
 async def handle_client(websocket):
     """Handle incoming WebSocket connection from extension"""
@@ -35,6 +43,10 @@ async def handle_client(websocket):
     print(f"{'='*60}\n")
 
     try:
+        if SECRET and not await authenticate(websocket):
+            print("✗ Authentication failed, connection closed\n")
+            return
+
         async for message in websocket:
             try:
                 data = json.loads(message)
@@ -49,13 +61,33 @@ async def handle_client(websocket):
         print(f"{'='*60}\n")
 
 
+async def authenticate(websocket):
+    """Challenge the extension to answer with HMAC-SHA256(secret, nonce)"""
+    nonce = secrets.token_hex(16)
+    await websocket.send(json.dumps({'type': 'auth_challenge', 'nonce': nonce}))
+
+    try:
+        reply = json.loads(await asyncio.wait_for(websocket.recv(), timeout=5))
+    except (asyncio.TimeoutError, json.JSONDecodeError):
+        reply = {}
+
+    expected = hmac.new(SECRET.encode(), nonce.encode(), hashlib.sha256).hexdigest()
+    if reply.get('type') == 'auth' and hmac.compare_digest(str(reply.get('response', '')), expected):
+        await websocket.send(json.dumps({'type': 'auth_ok'}))
+        return True
+
+    await websocket.send(json.dumps({'type': 'auth_failed', 'message': 'Wrong shared secret'}))
+    await websocket.close()
+    return False
+
+
 def handle_message(data):
     """Process different message types"""
     msg_type = data.get('type', 'unknown')
 
     if msg_type == 'connected':
         version = data.get('version', 'unknown')
-        print(f"🔌 Extension version: {version}")
+        print(f"🔌 Extension version: {version} (protocol {data.get('protocol', 1)})")
         print(f"⏰ Connected at: {format_timestamp(data.get('timestamp'))}")
         print(f"\n{'─'*60}")
         print("Waiting for subtitles... (play a video with asbplayer)")
@@ -64,8 +96,20 @@ def handle_message(data):
     elif msg_type == 'subtitle':
         handle_subtitle(data)
 
+    elif msg_type == 'subtitle_end':
+        subtitle = data.get('subtitle', {})
+        start = subtitle.get('start', 0) / 1000
+        end = subtitle.get('end', 0) / 1000
+        print(f"  ⏹ {start:.2f}s → {end:.2f}s ({data.get('reason', 'cleared')})")
+
+    elif msg_type == 'playback':
+        event = data.get('event')
+        if event != 'timeupdate':
+            current_time = data.get('video', {}).get('currentTime', 0)
+            print(f"  ▶ {event} at {current_time:.2f}s")
+
     elif msg_type == 'heartbeat':
-        # Heartbeat every 30s - usually silent
+        # Heartbeat every 20s - usually silent
         # Uncomment to see heartbeats:
         # print(f"💓 Heartbeat: {format_timestamp(data.get('timestamp'))}")
         pass
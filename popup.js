@@ -3,43 +3,182 @@
 // Elements
 const statusEl = document.getElementById('status');
 const statusTextEl = document.getElementById('status-text');
+const liveCurrentEl = document.getElementById('live-current');
+const recentCuesEl = document.getElementById('recent-cues');
 const enabledEl = document.getElementById('enabled');
-const transportTypeEl = document.getElementById('transportType');
-const wsUrlEl = document.getElementById('wsUrl');
-const httpUrlEl = document.getElementById('httpUrl');
-const nativeHostEl = document.getElementById('nativeHost');
+const streamScopeEl = document.getElementById('streamScope');
+const pinnedConfigEl = document.getElementById('pinned-config');
+const pinnedTabEl = document.getElementById('pinned-tab');
+const pinTabBtn = document.getElementById('pinTabBtn');
+const siteModeEl = document.getElementById('siteMode');
+const siteAllowlistEl = document.getElementById('siteAllowlist');
+const siteDenylistEl = document.getElementById('siteDenylist');
+const configAllowlist = document.getElementById('config-allowlist');
+const configDenylist = document.getElementById('config-denylist');
+const toggleSiteBtn = document.getElementById('toggleSiteBtn');
+const destinationsEl = document.getElementById('destinations');
+const destinationTemplate = document.getElementById('destination-template');
+const addDestinationBtn = document.getElementById('addDestinationBtn');
+const queueMaxSizeEl = document.getElementById('queueMaxSize');
+const reconnectMaxAttemptsEl = document.getElementById('reconnectMaxAttempts');
+const reconnectMaxDelaySecondsEl = document.getElementById('reconnectMaxDelaySeconds');
+const reconnectJitterEl = document.getElementById('reconnectJitter');
+const queueMaxAgeMinutesEl = document.getElementById('queueMaxAgeMinutes');
+const playbackHeartbeatMsEl = document.getElementById('playbackHeartbeatMs');
+const rubyInTextEl = document.getElementById('rubyInText');
+const subtitleSourcesEl = document.getElementById('subtitleSources');
+const contextBeforeEl = document.getElementById('contextBefore');
+const contextAfterEl = document.getElementById('contextAfter');
+const rulesEl = document.getElementById('rules');
+const ruleTemplate = document.getElementById('rule-template');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const ruleSampleTextEl = document.getElementById('ruleSampleText');
+const ruleSampleTrackEl = document.getElementById('ruleSampleTrack');
+const rulePreviewEl = document.getElementById('rulePreview');
+const historySessionEl = document.getElementById('historySession');
+const exportFormatEl = document.getElementById('exportFormat');
+const historyMaxSessionsEl = document.getElementById('historyMaxSessions');
+const exportBtn = document.getElementById('exportBtn');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const shortcutListEl = document.getElementById('shortcutList');
+const editShortcutsBtn = document.getElementById('editShortcutsBtn');
 const saveBtn = document.getElementById('saveBtn');
 const testBtn = document.getElementById('testBtn');
 
-// Transport config sections
-const configWebSocket = document.getElementById('config-websocket');
-const configHttp = document.getElementById('config-http');
-const configNative = document.getElementById('config-native');
+// Subtitle sources the content script can read, in default priority order
+const SUBTITLE_SOURCES = {
+  asbplayer: 'asbplayer subtitles',
+  textTracks: 'Video text tracks (exact timing)',
+  captions: 'Player captions (YouTube, Video.js, Plyr)'
+};
+
+// Per-type defaults for the destination target field
+const TRANSPORT_DEFAULTS = {
+  websocket: {
+    name: 'WebSocket',
+    placeholder: 'ws://localhost:8767',
+    help: 'Server must be running and accepting connections (Port 8767 avoids conflict with AnkiConnect)'
+  },
+  http: {
+    name: 'HTTP',
+    placeholder: 'http://localhost:8080/subtitle',
+    help: 'POST requests will be sent to this endpoint'
+  },
+  native: {
+    name: 'Native',
+    placeholder: 'com.subtitle.streamer',
+    help: 'Must be configured in native messaging manifest'
+  }
+};
+
+// Custom HTTP request, off until enabled per destination
+const DEFAULT_TEMPLATE = {
+  enabled: false,
+  method: 'POST',
+  contentType: 'application/json',
+  headers: '',
+  body: '{"content": "{{text}}"}'
+};
+
+// Starting points for common webhook shapes
+const TEMPLATE_PRESETS = {
+  chat: { method: 'POST', contentType: 'application/json', headers: '', body: '{"content": "{{text}}"}' },
+  tts: { method: 'POST', contentType: 'application/json', headers: '', body: '{"model": "tts-1", "voice": "alloy", "input": "{{track0}}"}' },
+  form: { method: 'POST', contentType: 'application/x-www-form-urlencoded', headers: '', body: 'text={{text}}&title={{title}}' }
+};
+
+// Subtitle rendered in the template preview
+const SAMPLE_MESSAGE = {
+  type: 'subtitle',
+  timestamp: 1234567890123,
+  video: { currentTime: 45.234, duration: 3600, paused: false, playbackRate: 1, url: 'https://www.netflix.com/watch/12345' },
+  session: { title: 'Episode 3 - Netflix', url: 'https://www.netflix.com/watch/12345' },
+  subtitle: {
+    text: '漢字を読む\n"I read kanji"',
+    lines: [
+      { text: '漢字を読む', track: 0 },
+      { text: '"I read kanji"', track: 1 }
+    ],
+    start: 45234,
+    end: null
+  }
+};
 
 // State
 let settings = {
   enabled: true,
-  transportType: 'websocket',
-  wsUrl: 'ws://localhost:8767',  // Port 8767 to avoid conflict with AnkiConnect (8765)
-  httpUrl: 'http://localhost:8080/subtitle',
-  nativeHost: 'com.subtitle.streamer'
+  destinations: [
+    {
+      id: 'default',
+      name: 'WebSocket',
+      type: 'websocket',
+      enabled: true,
+      url: 'ws://localhost:8767',  // Port 8767 to avoid conflict with AnkiConnect (8765)
+      host: '',
+      protocol: 'auto',
+      secret: '',
+      signPayloads: false,
+      batchMs: 0,
+      batchSize: 20,
+      maxWaiting: 50,
+      template: { ...DEFAULT_TEMPLATE },
+      mediaScreenshot: false,
+      mediaAudio: false,
+      mediaMaxKB: 512,
+      enrichLines: false
+    }
+  ],
+  queueMaxSize: 500,
+  queueMaxAgeMinutes: 30,
+  playbackHeartbeatMs: 0,
+  streamScope: 'all',
+  siteMode: 'all',
+  siteAllowlist: [],
+  siteDenylist: [],
+  historyMaxSessions: 20,
+  rubyInText: false,
+  subtitleSources: ['asbplayer', 'textTracks', 'captions'],
+  contextBefore: 0,
+  contextAfter: 0,
+  rules: [],
+  reconnectMaxAttempts: 0,
+  reconnectMaxDelaySeconds: 30,
+  reconnectJitter: true
 };
 
+// Host of the tab the popup was opened on, null for non-web pages
+let currentSiteHost = null;
+
 // Initialize
 async function init() {
   // Load settings from storage
   await loadSettings();
+  await loadCurrentSite();
 
   // Update UI
   updateUI();
-  updateTransportConfig();
 
   // Request status from background
   updateStatus();
+  loadHistory();
+  loadShortcuts();
+  connectLiveView();
 
   // Event listeners
   enabledEl.addEventListener('change', handleEnabledChange);
-  transportTypeEl.addEventListener('change', handleTransportTypeChange);
+  streamScopeEl.addEventListener('change', handleStreamScopeChange);
+  pinTabBtn.addEventListener('click', handlePinTab);
+  siteModeEl.addEventListener('change', updateSiteConfig);
+  toggleSiteBtn.addEventListener('click', handleToggleSite);
+  addDestinationBtn.addEventListener('click', handleAddDestination);
+  addRuleBtn.addEventListener('click', handleAddRule);
+  ruleSampleTextEl.addEventListener('input', updateRulePreview);
+  ruleSampleTrackEl.addEventListener('input', updateRulePreview);
+  // Rules offer the destinations by their current names
+  destinationsEl.addEventListener('input', refreshRuleDestinations);
+  exportBtn.addEventListener('click', handleExport);
+  clearHistoryBtn.addEventListener('click', handleClearHistory);
+  editShortcutsBtn.addEventListener('click', handleEditShortcuts);
   saveBtn.addEventListener('click', handleSave);
   testBtn.addEventListener('click', handleTest);
 
@@ -50,42 +189,283 @@ async function init() {
 // Load settings from storage
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get(settings);
+    const result = await readSettings(settings);
     settings = { ...settings, ...result };
-    console.log('Settings loaded:', settings);
+    console.log('Settings loaded');
   } catch (error) {
     console.error('Error loading settings:', error);
   }
 }
 
+// Find the host of the active tab
+async function loadCurrentSite() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = tab && tab.url ? new URL(tab.url) : null;
+    currentSiteHost = url && (url.protocol === 'http:' || url.protocol === 'https:') ? url.hostname : null;
+  } catch (error) {
+    console.error('Error reading current tab:', error);
+  }
+}
+
 // Update UI from settings
 function updateUI() {
   enabledEl.checked = settings.enabled;
-  transportTypeEl.value = settings.transportType;
-  wsUrlEl.value = settings.wsUrl;
-  httpUrlEl.value = settings.httpUrl;
-  nativeHostEl.value = settings.nativeHost;
+  streamScopeEl.value = settings.streamScope;
+  pinnedConfigEl.style.display = settings.streamScope === 'pinned' ? '' : 'none';
+  siteModeEl.value = settings.siteMode;
+  siteAllowlistEl.value = settings.siteAllowlist.join('\n');
+  siteDenylistEl.value = settings.siteDenylist.join('\n');
+  updateSiteConfig();
+  queueMaxSizeEl.value = settings.queueMaxSize;
+  reconnectMaxAttemptsEl.value = settings.reconnectMaxAttempts;
+  reconnectMaxDelaySecondsEl.value = settings.reconnectMaxDelaySeconds;
+  reconnectJitterEl.checked = settings.reconnectJitter;
+  queueMaxAgeMinutesEl.value = settings.queueMaxAgeMinutes;
+  playbackHeartbeatMsEl.value = settings.playbackHeartbeatMs;
+  historyMaxSessionsEl.value = settings.historyMaxSessions;
+  rubyInTextEl.checked = settings.rubyInText;
+  renderSubtitleSources(settings.subtitleSources);
+  contextBeforeEl.value = settings.contextBefore;
+  contextAfterEl.value = settings.contextAfter;
+
+  destinationsEl.textContent = '';
+  settings.destinations.forEach(destination => {
+    destinationsEl.appendChild(createDestinationCard(destination));
+  });
+
+  rulesEl.textContent = '';
+  settings.rules.forEach(rule => {
+    rulesEl.appendChild(createRuleCard(rule));
+  });
+  updateRulePreview();
+}
+
+// Show the list for the selected site mode and label the toggle button
+function updateSiteConfig() {
+  configAllowlist.style.display = siteModeEl.value === 'allowlist' ? '' : 'none';
+  configDenylist.style.display = siteModeEl.value === 'denylist' ? '' : 'none';
+
+  if (!currentSiteHost) {
+    toggleSiteBtn.textContent = 'Not Available on This Page';
+    toggleSiteBtn.disabled = true;
+    return;
+  }
+
+  toggleSiteBtn.textContent = isSiteAllowed(currentSiteHost, settings)
+    ? `Disable on ${currentSiteHost}`
+    : `Enable on ${currentSiteHost}`;
+}
+
+// Split a textarea into a list of site patterns
+function parseSiteList(value) {
+  return value.split('\n').map(line => line.trim()).filter(line => line);
+}
+
+// Handle toggle site button, applies immediately
+function handleToggleSite() {
+  const host = currentSiteHost;
+  settings.siteMode = siteModeEl.value;
+  settings.siteAllowlist = parseSiteList(siteAllowlistEl.value);
+  settings.siteDenylist = parseSiteList(siteDenylistEl.value);
+
+  const allowed = isSiteAllowed(host, settings);
+
+  if (settings.siteMode === 'allowlist') {
+    settings.siteAllowlist = allowed
+      ? settings.siteAllowlist.filter(pattern => !matchesHostPattern(host, pattern))
+      : settings.siteAllowlist.concat(host);
+  } else {
+    // Blocking a site from "All sites" switches to the deny list
+    settings.siteMode = 'denylist';
+    settings.siteDenylist = allowed
+      ? settings.siteDenylist.concat(host)
+      : settings.siteDenylist.filter(pattern => !matchesHostPattern(host, pattern));
+  }
+
+  siteModeEl.value = settings.siteMode;
+  siteAllowlistEl.value = settings.siteAllowlist.join('\n');
+  siteDenylistEl.value = settings.siteDenylist.join('\n');
+  updateSiteConfig();
+  saveSettings();
+}
+
+// Build the form for a single destination
+function createDestinationCard(destination) {
+  const card = destinationTemplate.content.firstElementChild.cloneNode(true);
+  card.dataset.id = destination.id;
+
+  const typeEl = card.querySelector('.dest-type');
+  card.querySelector('.dest-name').value = destination.name;
+  card.querySelector('.dest-enabled').checked = destination.enabled;
+  typeEl.value = destination.type;
+  card.querySelector('.dest-target').value = destination.type === 'native' ? destination.host : destination.url;
+  card.querySelector('.dest-protocol').value = destination.protocol || 'auto';
+  card.querySelector('.dest-secret').value = destination.secret || '';
+  card.querySelector('.dest-sign').checked = Boolean(destination.signPayloads);
+  card.querySelector('.dest-batch-ms').value = destination.batchMs || 0;
+  card.querySelector('.dest-batch-size').value = destination.batchSize || 20;
+  card.querySelector('.dest-max-waiting').value = destination.maxWaiting || destination.maxInFlight || 50;
+  card.querySelector('.dest-media-screenshot').checked = Boolean(destination.mediaScreenshot);
+  card.querySelector('.dest-media-audio').checked = Boolean(destination.mediaAudio);
+  card.querySelector('.dest-media-max-kb').value = destination.mediaMaxKB || 512;
+  card.querySelector('.dest-enrich-lines').checked = Boolean(destination.enrichLines);
+
+  const template = { ...DEFAULT_TEMPLATE, ...destination.template };
+  card.querySelector('.dest-template-enabled').checked = template.enabled;
+  card.querySelector('.dest-method').value = template.method;
+  card.querySelector('.dest-content-type').value = template.contentType;
+  card.querySelector('.dest-headers').value = template.headers;
+  card.querySelector('.dest-body').value = template.body;
+  updateTargetField(card);
+
+  typeEl.addEventListener('change', () => {
+    card.querySelector('.dest-target').value = '';
+    updateTargetField(card);
+  });
+
+  // Keep the preview in step with the template and the URL
+  card.querySelector('.dest-template-enabled').addEventListener('change', () => updateTemplateConfig(card));
+  card.querySelector('.dest-template-preset').addEventListener('change', () => applyTemplatePreset(card));
+  ['.dest-target', '.dest-secret', '.dest-headers', '.dest-body'].forEach(selector => {
+    card.querySelector(selector).addEventListener('input', () => updateTemplatePreview(card));
+  });
+  ['.dest-method', '.dest-content-type'].forEach(selector => {
+    card.querySelector(selector).addEventListener('change', () => updateTemplatePreview(card));
+  });
+
+  // Native host manifest follows the host name and program path
+  ['.dest-target', '.dest-host-path'].forEach(selector => {
+    card.querySelector(selector).addEventListener('input', () => updateHostManifest(card));
+  });
+  card.querySelector('.dest-copy-manifest').addEventListener('click', () => copyHostManifest(card));
+
+  card.querySelector('.dest-remove').addEventListener('click', () => {
+    card.remove();
+    refreshRuleDestinations();
+  });
+
+  return card;
+}
+
+// Update target placeholder and help text for the selected type
+function updateTargetField(card) {
+  const type = card.querySelector('.dest-type').value;
+  const defaults = TRANSPORT_DEFAULTS[type];
+  card.querySelector('.dest-target').placeholder = defaults.placeholder;
+  card.querySelector('.dest-help').textContent = defaults.help;
+
+  // Native hosts are chosen by their manifest, so they don't authenticate
+  card.querySelector('.dest-auth').style.display = type === 'native' ? 'none' : '';
+  card.querySelector('.dest-http').style.display = type === 'http' ? '' : 'none';
+  card.querySelector('.dest-native').style.display = type === 'native' ? '' : 'none';
+  updateHostManifest(card);
+  card.querySelector('.dest-template').style.display = type === 'http' ? '' : 'none';
+  updateTemplateConfig(card);
+}
+
+// Read a destination back from its form
+function readDestinationCard(card) {
+  const type = card.querySelector('.dest-type').value;
+  const target = card.querySelector('.dest-target').value.trim();
+
+  return {
+    id: card.dataset.id,
+    name: card.querySelector('.dest-name').value.trim() || TRANSPORT_DEFAULTS[type].name,
+    type: type,
+    enabled: card.querySelector('.dest-enabled').checked,
+    url: type === 'native' ? '' : target,
+    host: type === 'native' ? target : '',
+    protocol: card.querySelector('.dest-protocol').value,
+    secret: type === 'native' ? '' : card.querySelector('.dest-secret').value,
+    signPayloads: type !== 'native' && card.querySelector('.dest-sign').checked,
+    batchMs: parseInt(card.querySelector('.dest-batch-ms').value, 10),
+    batchSize: parseInt(card.querySelector('.dest-batch-size').value, 10),
+    maxWaiting: parseInt(card.querySelector('.dest-max-waiting').value, 10),
+    template: readTemplate(card),
+    mediaScreenshot: card.querySelector('.dest-media-screenshot').checked,
+    mediaAudio: card.querySelector('.dest-media-audio').checked,
+    mediaMaxKB: parseInt(card.querySelector('.dest-media-max-kb').value, 10),
+    enrichLines: card.querySelector('.dest-enrich-lines').checked
+  };
+}
+
+// Native messaging host manifest for Linux, with this extension allowed to connect
+function updateHostManifest(card) {
+  const name = card.querySelector('.dest-target').value.trim() || TRANSPORT_DEFAULTS.native.placeholder;
+  const manifest = {
+    name: name,
+    description: 'asbplayer Subtitle Streamer receiver',
+    path: card.querySelector('.dest-host-path').value.trim() || '/path/to/your/host',
+    type: 'stdio',
+    allowed_origins: [`chrome-extension://${chrome.runtime.id}/`]
+  };
+
+  card.querySelector('.dest-manifest').textContent = JSON.stringify(manifest, null, 2);
+  card.querySelector('.dest-manifest-help').textContent =
+    `Save as ~/.config/google-chrome/NativeMessagingHosts/${name}.json ` +
+    `(Chromium: ~/.config/chromium/NativeMessagingHosts/) and make the program executable`;
+}
+
+// Copy the generated host manifest
+async function copyHostManifest(card) {
+  const button = card.querySelector('.dest-copy-manifest');
+  try {
+    await navigator.clipboard.writeText(card.querySelector('.dest-manifest').textContent);
+    button.textContent = 'Copied';
+    setTimeout(() => { button.textContent = 'Copy Manifest'; }, 1000);
+  } catch (error) {
+    console.error('Error copying manifest:', error);
+  }
 }
 
-// Update transport config visibility
-function updateTransportConfig() {
-  // Hide all
-  configWebSocket.classList.remove('active');
-  configHttp.classList.remove('active');
-  configNative.classList.remove('active');
+// Read the request template from a destination's form
+function readTemplate(card) {
+  return {
+    enabled: card.querySelector('.dest-template-enabled').checked,
+    method: card.querySelector('.dest-method').value,
+    contentType: card.querySelector('.dest-content-type').value,
+    headers: card.querySelector('.dest-headers').value,
+    body: card.querySelector('.dest-body').value
+  };
+}
+
+// Show the template fields only while the template is on
+function updateTemplateConfig(card) {
+  card.querySelector('.dest-template-config').style.display =
+    card.querySelector('.dest-template-enabled').checked ? '' : 'none';
+  updateTemplatePreview(card);
+}
 
-  // Show active
-  switch (settings.transportType) {
-    case 'websocket':
-      configWebSocket.classList.add('active');
-      break;
-    case 'http':
-      configHttp.classList.add('active');
-      break;
-    case 'native':
-      configNative.classList.add('active');
-      break;
+// Fill the template fields from a preset
+function applyTemplatePreset(card) {
+  const presetEl = card.querySelector('.dest-template-preset');
+  const preset = TEMPLATE_PRESETS[presetEl.value];
+  if (preset) {
+    card.querySelector('.dest-method').value = preset.method;
+    card.querySelector('.dest-content-type').value = preset.contentType;
+    card.querySelector('.dest-headers').value = preset.headers;
+    card.querySelector('.dest-body').value = preset.body;
+    updateTemplatePreview(card);
   }
+  presetEl.value = '';
+}
+
+// Show the request the template makes for a sample subtitle
+function updateTemplatePreview(card) {
+  const url = card.querySelector('.dest-target').value.trim() || TRANSPORT_DEFAULTS.http.placeholder;
+  const request = buildTemplateRequest(readTemplate(card), url, SAMPLE_MESSAGE);
+
+  const lines = [`${request.method} ${request.url}`];
+  Object.entries(request.headers).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+  if (card.querySelector('.dest-secret').value && !hasHeader(request.headers, 'Authorization')) {
+    lines.push('Authorization: Bearer ••••••');
+  }
+  if (request.body !== undefined) {
+    lines.push('', request.body);
+  }
+
+  card.querySelector('.dest-preview').textContent = lines.join('\n');
 }
 
 // Update status display
@@ -101,52 +481,504 @@ async function updateStatus() {
 
       const statusText = {
         connected: 'Connected',
+        degraded: 'Partially Connected',
         disconnected: 'Disconnected',
-        connecting: 'Connecting...'
+        connecting: 'Connecting...',
+        auth_failed: 'Authentication Failed'
       };
 
       statusTextEl.textContent = statusText[status] || 'Unknown';
+
+      pinnedTabEl.textContent = response.pinnedTab
+        ? `Pinned: ${response.pinnedTab.title || `Tab ${response.pinnedTab.id}`}`
+        : 'No tab pinned';
+
+      // Update per-destination status dots
+      (response.destinations || []).forEach(destination => {
+        const card = destinationsEl.querySelector(`.destination[data-id="${CSS.escape(destination.id)}"]`);
+        if (card) {
+          card.classList.remove('connected', 'disconnected', 'connecting', 'auth_failed', 'disabled');
+          card.classList.add(destination.status);
+          card.querySelector('.status-dot').title = destination.status === 'auth_failed'
+            ? 'Authentication failed: check the shared secret'
+            : destination.status;
+        }
+      });
     }
   } catch (error) {
     console.error('Error getting status:', error);
   }
 }
 
+// Receive the current subtitle and recent cues as they change
+function connectLiveView() {
+  const port = chrome.runtime.connect({ name: 'live' });
+  port.onMessage.addListener(renderLiveView);
+}
+
+// Render the live subtitle and the recent cue list
+function renderLiveView(state) {
+  liveCurrentEl.textContent = '';
+  if (state.current) {
+    state.current.lines.forEach(line => liveCurrentEl.appendChild(createCueLine(line)));
+  } else {
+    const empty = document.createElement('div');
+    empty.className = 'live-empty';
+    empty.textContent = 'No subtitle on screen';
+    liveCurrentEl.appendChild(empty);
+  }
+
+  recentCuesEl.textContent = '';
+  state.recent.slice().reverse().forEach(cue => {
+    const item = document.createElement('div');
+    item.className = 'recent-cue';
+    item.title = cue.title;
+
+    const time = document.createElement('div');
+    time.className = 'cue-time';
+    time.textContent = formatCueTime(cue.start, '.');
+    item.appendChild(time);
+
+    cue.lines.forEach(line => item.appendChild(createCueLine(line)));
+    item.addEventListener('click', () => handleSeekCue(cue, item));
+    recentCuesEl.appendChild(item);
+  });
+}
+
+// One subtitle line with its track number and a copy button
+function createCueLine(line) {
+  const row = document.createElement('div');
+  row.className = 'cue-line';
+
+  const track = document.createElement('span');
+  track.className = 'track-label';
+  track.textContent = line.track;
+
+  const text = document.createElement('span');
+  text.className = 'cue-text';
+  text.textContent = line.text;
+
+  const copy = document.createElement('button');
+  copy.className = 'copy-button';
+  copy.textContent = 'Copy';
+  copy.title = 'Copy this line';
+  copy.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(line.text);
+      copy.textContent = 'Copied';
+      setTimeout(() => { copy.textContent = 'Copy'; }, 1000);
+    } catch (error) {
+      console.error('Error copying line:', error);
+    }
+  });
+
+  row.append(track, text, copy);
+  return row;
+}
+
+// Seek the video to the start of a cue
+async function handleSeekCue(cue, item) {
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'seekCue',
+      tabId: cue.tabId,
+      frameId: cue.frameId,
+      time: cue.start / 1000
+    });
+
+    if (!result || !result.ok) {
+      console.error('Seek failed:', result && result.error);
+      item.classList.add('seek-failed');
+      setTimeout(() => item.classList.remove('seek-failed'), 1000);
+    }
+  } catch (error) {
+    console.error('Error seeking:', error);
+  }
+}
+
 // Handle enabled toggle
 function handleEnabledChange() {
   settings.enabled = enabledEl.checked;
   saveSettings();
 }
 
-// Handle transport type change
-function handleTransportTypeChange() {
-  settings.transportType = transportTypeEl.value;
-  updateTransportConfig();
+// Handle stream scope change
+function handleStreamScopeChange() {
+  settings.streamScope = streamScopeEl.value;
+  pinnedConfigEl.style.display = settings.streamScope === 'pinned' ? '' : 'none';
+  saveSettings();
+}
+
+// Show the sources in priority order, enabled ones first
+function renderSubtitleSources(enabled) {
+  const names = [...enabled, ...Object.keys(SUBTITLE_SOURCES).filter(name => !enabled.includes(name))]
+    .filter(name => SUBTITLE_SOURCES[name]);
+  subtitleSourcesEl.textContent = '';
+
+  names.forEach(name => {
+    const row = document.createElement('div');
+    row.className = 'source-row';
+    row.dataset.source = name;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `source-${name}`;
+    checkbox.checked = enabled.includes(name);
+
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = SUBTITLE_SOURCES[name];
+
+    const up = document.createElement('button');
+    up.className = 'icon-button';
+    up.title = 'Higher priority';
+    up.textContent = '↑';
+    up.addEventListener('click', () => {
+      if (row.previousElementSibling) {
+        subtitleSourcesEl.insertBefore(row, row.previousElementSibling);
+      }
+    });
+
+    row.append(checkbox, label, up);
+    subtitleSourcesEl.appendChild(row);
+  });
+}
+
+// Enabled sources in the order shown
+function readSubtitleSources() {
+  return Array.from(subtitleSourcesEl.querySelectorAll('.source-row'))
+    .filter(row => row.querySelector('input').checked)
+    .map(row => row.dataset.source);
+}
+
+// List the keyboard shortcuts as currently assigned in Chrome
+async function loadShortcuts() {
+  const commands = await chrome.commands.getAll();
+  shortcutListEl.textContent = '';
+
+  commands.filter(command => command.description).forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'shortcut';
+
+    const name = document.createElement('span');
+    name.textContent = command.description;
+    const keys = document.createElement('kbd');
+    keys.textContent = command.shortcut || 'Not set';
+
+    row.append(name, keys);
+    shortcutListEl.appendChild(row);
+  });
+}
+
+// Shortcuts are assigned on Chrome's own page
+function handleEditShortcuts() {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+}
+
+// Handle pin button, pins the tab the popup was opened on
+async function handlePinTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      await chrome.runtime.sendMessage({
+        type: 'pinTab',
+        tab: { id: tab.id, title: tab.title }
+      });
+      await updateStatus();
+    }
+  } catch (error) {
+    console.error('Error pinning tab:', error);
+  }
+}
+
+// Handle add destination button
+function handleAddDestination() {
+  const destination = {
+    id: `dest-${Date.now().toString(36)}`,
+    name: TRANSPORT_DEFAULTS.http.name,
+    type: 'http',
+    enabled: true,
+    url: '',
+    host: '',
+    protocol: 'auto',
+    secret: '',
+    signPayloads: false,
+    batchMs: 0,
+    batchSize: 20,
+    maxWaiting: 50,
+    template: { ...DEFAULT_TEMPLATE },
+    mediaScreenshot: false,
+    mediaAudio: false,
+    mediaMaxKB: 512,
+    enrichLines: false
+  };
+
+  destinationsEl.appendChild(createDestinationCard(destination));
+  refreshRuleDestinations();
+}
+
+// Handle add rule button
+function handleAddRule() {
+  const rule = {
+    id: `rule-${Date.now().toString(36)}`,
+    name: `Rule ${rulesEl.children.length + 1}`,
+    enabled: true,
+    tracks: [],
+    excludeTracks: [],
+    include: '',
+    exclude: '',
+    minLength: 0,
+    dropSoundEffects: true,
+    destinations: [],
+    channel: ''
+  };
+
+  rulesEl.appendChild(createRuleCard(rule));
+  updateRulePreview();
+}
+
+// Build the form for a single routing rule
+function createRuleCard(rule) {
+  const card = ruleTemplate.content.firstElementChild.cloneNode(true);
+  card.dataset.id = rule.id;
+
+  card.querySelector('.rule-name').value = rule.name;
+  card.querySelector('.rule-enabled').checked = rule.enabled;
+  card.querySelector('.rule-tracks').value = (rule.tracks || []).join(', ');
+  card.querySelector('.rule-exclude-tracks').value = (rule.excludeTracks || []).join(', ');
+  card.querySelector('.rule-include').value = rule.include || '';
+  card.querySelector('.rule-exclude').value = rule.exclude || '';
+  card.querySelector('.rule-min-length').value = rule.minLength || 0;
+  card.querySelector('.rule-drop-sound-effects').checked = Boolean(rule.dropSoundEffects);
+  card.querySelector('.rule-channel').value = rule.channel || '';
+  renderRuleDestinations(card, rule.destinations || []);
+
+  // Any edit may change what the sample line matches
+  card.addEventListener('input', updateRulePreview);
+  card.addEventListener('change', updateRulePreview);
+
+  card.querySelector('.rule-remove').addEventListener('click', () => {
+    card.remove();
+    updateRulePreview();
+  });
+
+  return card;
+}
+
+// Destinations currently in the form, by id and name
+function listDestinations() {
+  return Array.from(destinationsEl.querySelectorAll('.destination')).map(card => ({
+    id: card.dataset.id,
+    name: card.querySelector('.dest-name').value.trim() ||
+      TRANSPORT_DEFAULTS[card.querySelector('.dest-type').value].name
+  }));
+}
+
+// One checkbox per destination, checked for the ones the rule sends to
+function renderRuleDestinations(card, selected) {
+  const container = card.querySelector('.rule-destinations');
+  container.textContent = '';
+
+  listDestinations().forEach(destination => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = destination.id;
+    checkbox.checked = selected.includes(destination.id);
+    label.append(checkbox, destination.name);
+    container.appendChild(label);
+  });
+}
+
+// Follow added, removed and renamed destinations in every rule
+function refreshRuleDestinations() {
+  rulesEl.querySelectorAll('.rule').forEach(card => {
+    renderRuleDestinations(card, readRuleCard(card).destinations);
+  });
+  updateRulePreview();
+}
+
+// Read a rule back from its form
+function readRuleCard(card) {
+  return {
+    id: card.dataset.id,
+    name: card.querySelector('.rule-name').value.trim() || 'Rule',
+    enabled: card.querySelector('.rule-enabled').checked,
+    tracks: parseTrackList(card.querySelector('.rule-tracks').value),
+    excludeTracks: parseTrackList(card.querySelector('.rule-exclude-tracks').value),
+    include: card.querySelector('.rule-include').value,
+    exclude: card.querySelector('.rule-exclude').value,
+    minLength: parseInt(card.querySelector('.rule-min-length').value, 10),
+    dropSoundEffects: card.querySelector('.rule-drop-sound-effects').checked,
+    destinations: Array.from(card.querySelectorAll('.rule-destinations input:checked')).map(input => input.value),
+    channel: card.querySelector('.rule-channel').value.trim()
+  };
+}
+
+// "0, 2" -> [0, 2]; anything that isn't a track number becomes NaN for validation
+function parseTrackList(value) {
+  return value.split(',')
+    .map(part => part.trim())
+    .filter(part => part)
+    .map(part => /^\d+$/.test(part) ? parseInt(part, 10) : NaN);
+}
+
+// Check a rule before saving, returns an error message or null
+function validateRule(rule) {
+  if ([...rule.tracks, ...rule.excludeTracks].some(track => Number.isNaN(track))) {
+    return `${rule.name}: Tracks must be numbers separated by commas`;
+  }
+  if (!(rule.minLength >= 0)) {
+    return `${rule.name}: Minimum length must be zero or a positive number`;
+  }
+  for (const pattern of [rule.include, rule.exclude]) {
+    if (compileRulePattern(pattern) === undefined) {
+      return `${rule.name}: Invalid pattern ${pattern}`;
+    }
+  }
+  return null;
+}
+
+// Show which rules the sample line matches and where it would be sent
+function updateRulePreview() {
+  const line = {
+    text: ruleSampleTextEl.value,
+    track: parseInt(ruleSampleTrackEl.value, 10) || 0
+  };
+  const rules = Array.from(rulesEl.querySelectorAll('.rule')).map(readRuleCard);
+  const destinations = listDestinations();
+
+  if (!rules.some(rule => rule.enabled)) {
+    rulePreviewEl.textContent = 'No enabled rules: sent to all destinations';
+    return;
+  }
+
+  const targets = new Set();
+  const lines = rules.map(rule => {
+    const compiled = compileRule(rule);
+    let mismatch = null;
+    if (!rule.enabled) {
+      mismatch = 'disabled';
+    } else if (!compiled) {
+      mismatch = 'invalid pattern';
+    } else {
+      mismatch = ruleMismatch(compiled, line);
+    }
+    if (mismatch) {
+      return `✗ ${rule.name}: ${mismatch}`;
+    }
+
+    const names = destinations
+      .filter(destination => rule.destinations.length === 0 || rule.destinations.includes(destination.id))
+      .map(destination => destination.name);
+    names.forEach(name => targets.add(name));
+    const channel = rule.channel ? ` (channel ${rule.channel})` : '';
+    return `✓ ${rule.name} → ${names.join(', ') || 'no destination'}${channel}`;
+  });
+
+  lines.push('', targets.size > 0 ? `Sent to: ${Array.from(targets).join(', ')}` : 'Not sent');
+  rulePreviewEl.textContent = lines.join('\n');
+}
+
+// Check a destination before saving, returns an error message or null
+function validateDestination(destination) {
+  if (destination.type === 'websocket') {
+    if (!destination.url.startsWith('ws://') && !destination.url.startsWith('wss://')) {
+      return `${destination.name}: WebSocket URL must start with ws:// or wss://`;
+    }
+  } else if (destination.type === 'http') {
+    if (!destination.url.startsWith('http://') && !destination.url.startsWith('https://')) {
+      return `${destination.name}: HTTP URL must start with http:// or https://`;
+    }
+    if (!(destination.batchMs >= 0) || !(destination.batchSize >= 1) || !(destination.maxWaiting >= 1)) {
+      return `${destination.name}: Batch interval must be zero or positive, batch size and max waiting at least 1`;
+    }
+  } else if (destination.type === 'native') {
+    if (!destination.host) {
+      return `${destination.name}: Native host name is required`;
+    }
+    // Chrome only accepts dot-separated lowercase names
+    if (!/^[a-z0-9_]+(\.[a-z0-9_]+)*$/.test(destination.host)) {
+      return `${destination.name}: Native host name may only use lowercase letters, digits, _ and dots`;
+    }
+  }
+  if ((destination.mediaScreenshot || destination.mediaAudio) && !(destination.mediaMaxKB >= 16)) {
+    return `${destination.name}: Media size limit must be at least 16 KB`;
+  }
+  if (destination.signPayloads && !destination.secret) {
+    return `${destination.name}: Signing needs a shared secret`;
+  }
+  return null;
 }
 
 // Handle save button
 async function handleSave() {
   // Update settings from form
   settings.enabled = enabledEl.checked;
-  settings.transportType = transportTypeEl.value;
-  settings.wsUrl = wsUrlEl.value.trim();
-  settings.httpUrl = httpUrlEl.value.trim();
-  settings.nativeHost = nativeHostEl.value.trim();
-
-  // Validate URLs
-  if (settings.transportType === 'websocket') {
-    if (!settings.wsUrl.startsWith('ws://') && !settings.wsUrl.startsWith('wss://')) {
-      alert('WebSocket URL must start with ws:// or wss://');
-      return;
-    }
-  } else if (settings.transportType === 'http') {
-    if (!settings.httpUrl.startsWith('http://') && !settings.httpUrl.startsWith('https://')) {
-      alert('HTTP URL must start with http:// or https://');
+  settings.streamScope = streamScopeEl.value;
+  settings.siteMode = siteModeEl.value;
+  settings.siteAllowlist = parseSiteList(siteAllowlistEl.value);
+  settings.siteDenylist = parseSiteList(siteDenylistEl.value);
+  settings.destinations = Array.from(destinationsEl.querySelectorAll('.destination')).map(readDestinationCard);
+  settings.queueMaxSize = parseInt(queueMaxSizeEl.value, 10);
+  settings.queueMaxAgeMinutes = parseInt(queueMaxAgeMinutesEl.value, 10);
+  settings.reconnectMaxAttempts = parseInt(reconnectMaxAttemptsEl.value, 10);
+  settings.reconnectMaxDelaySeconds = parseInt(reconnectMaxDelaySecondsEl.value, 10);
+  settings.reconnectJitter = reconnectJitterEl.checked;
+
+  settings.playbackHeartbeatMs = parseInt(playbackHeartbeatMsEl.value, 10);
+  settings.historyMaxSessions = parseInt(historyMaxSessionsEl.value, 10);
+  settings.rubyInText = rubyInTextEl.checked;
+  settings.subtitleSources = readSubtitleSources();
+  settings.contextBefore = parseInt(contextBeforeEl.value, 10);
+  settings.contextAfter = parseInt(contextAfterEl.value, 10);
+  settings.rules = Array.from(rulesEl.querySelectorAll('.rule')).map(readRuleCard);
+
+  if (!(settings.queueMaxSize >= 0) || !(settings.queueMaxAgeMinutes >= 0)) {
+    alert('Queue limits must be zero or positive numbers');
+    return;
+  }
+
+  if (!(settings.reconnectMaxAttempts >= 0) || !(settings.reconnectMaxDelaySeconds >= 1)) {
+    alert('Reconnect attempts must be zero or positive, and the longest wait at least 1 second');
+    return;
+  }
+
+  if (!(settings.historyMaxSessions >= 0)) {
+    alert('Sessions to keep must be zero or a positive number');
+    return;
+  }
+
+  if (settings.subtitleSources.length === 0) {
+    alert('Enable at least one subtitle source');
+    return;
+  }
+
+  if (!(settings.contextBefore >= 0 && settings.contextBefore <= 10) ||
+      !(settings.contextAfter >= 0 && settings.contextAfter <= 10)) {
+    alert('Context cues must be between 0 and 10');
+    return;
+  }
+
+  if (!(settings.playbackHeartbeatMs >= 0)) {
+    alert('Playback heartbeat must be zero or a positive number of milliseconds');
+    return;
+  }
+
+  // Validate destinations
+  for (const destination of settings.destinations) {
+    const error = validateDestination(destination);
+    if (error) {
+      alert(error);
       return;
     }
-  } else if (settings.transportType === 'native') {
-    if (!settings.nativeHost) {
-      alert('Native host name is required');
+  }
+
+  for (const rule of settings.rules) {
+    const error = validateRule(rule);
+    if (error) {
+      alert(error);
       return;
     }
   }
@@ -178,12 +1010,19 @@ async function handleTest() {
       testBtn.textContent = 'Connected!';
       testBtn.style.background = '#34a853';
       testBtn.style.color = 'white';
+    } else if (response && response.status === 'degraded') {
+      const failed = response.destinations.filter(d => d.status !== 'connected').map(d => d.name);
+      testBtn.textContent = `Failed: ${failed.join(', ')}`;
+      testBtn.style.background = '#fa7b17';
+      testBtn.style.color = 'white';
     } else {
       testBtn.textContent = 'Failed';
       testBtn.style.background = '#ea4335';
       testBtn.style.color = 'white';
     }
 
+    await updateStatus();
+
     setTimeout(() => {
       testBtn.textContent = originalText;
       testBtn.style.background = '';
@@ -206,12 +1045,155 @@ async function handleTest() {
   }
 }
 
+// Fill the session list, newest first
+async function loadHistory() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getHistory' });
+    const sessions = (response && response.sessions) || [];
+
+    historySessionEl.textContent = '';
+    sessions.slice().reverse().forEach(session => {
+      const option = document.createElement('option');
+      const started = new Date(session.startedAt).toLocaleString();
+      const live = session.endedAt ? '' : ' (live)';
+      option.value = session.id;
+      option.textContent = `${session.title || session.url} - ${started} - ${session.cueCount} cues${live}`;
+      historySessionEl.appendChild(option);
+    });
+
+    const empty = sessions.length === 0;
+    historySessionEl.disabled = empty;
+    exportBtn.disabled = empty;
+    if (empty) {
+      const option = document.createElement('option');
+      option.textContent = 'No sessions recorded yet';
+      historySessionEl.appendChild(option);
+    }
+  } catch (error) {
+    console.error('Error loading history:', error);
+  }
+}
+
+// Handle export button
+async function handleExport() {
+  try {
+    const { session, cues } = await chrome.runtime.sendMessage({
+      type: 'getHistorySession',
+      id: historySessionEl.value
+    });
+    if (!session) {
+      return;
+    }
+
+    const format = exportFormatEl.value;
+    const exporters = {
+      srt: { render: formatSrt, mime: 'application/x-subrip' },
+      vtt: { render: formatVtt, mime: 'text/vtt' },
+      json: { render: formatJson, mime: 'application/json' },
+      csv: { render: formatCsv, mime: 'text/csv' }
+    };
+
+    const { render, mime } = exporters[format];
+    const blob = new Blob([render(session, cues)], { type: `${mime};charset=utf-8` });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${exportFileName(session)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (error) {
+    console.error('Error exporting history:', error);
+  }
+}
+
+// Handle clear history button
+async function handleClearHistory() {
+  if (!confirm('Delete all recorded subtitle history?')) {
+    return;
+  }
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'clearHistory' });
+    await loadHistory();
+  } catch (error) {
+    console.error('Error clearing history:', error);
+  }
+}
+
+// File name from the session title and start date
+function exportFileName(session) {
+  const date = new Date(session.startedAt).toISOString().slice(0, 10);
+  const title = (session.title || 'subtitles').replace(/[\\/:*?"<>|]+/g, '_').slice(0, 80);
+  return `${title} ${date}`;
+}
+
+// End time of a cue, falling back to the next cue's start if it was never measured
+function cueEnd(cues, index) {
+  const cue = cues[index];
+  if (cue.end !== null && cue.end !== undefined) {
+    return cue.end;
+  }
+  const next = cues[index + 1];
+  return next && next.start > cue.start ? next.start : cue.start + 2000;
+}
+
+// Format ms as HH:MM:SS<separator>mmm
+function formatCueTime(ms, separator) {
+  const pad = (value, length = 2) => String(Math.floor(value)).padStart(length, '0');
+  const total = Math.max(0, ms);
+  return `${pad(total / 3600000)}:${pad((total / 60000) % 60)}:${pad((total / 1000) % 60)}${separator}${pad(total % 1000, 3)}`;
+}
+
+function formatSrt(session, cues) {
+  return cues.map((cue, index) => [
+    index + 1,
+    `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cueEnd(cues, index), ',')}`,
+    cue.text,
+    ''
+  ].join('\n')).join('\n');
+}
+
+function formatVtt(session, cues) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;');
+  const body = cues.map((cue, index) => [
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cueEnd(cues, index), '.')}`,
+    escape(cue.text),
+    ''
+  ].join('\n')).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+function formatJson(session, cues) {
+  return JSON.stringify({
+    session: session,
+    cues: cues.map((cue, index) => ({ ...cue, end: cueEnd(cues, index) }))
+  }, null, 2);
+}
+
+function formatCsv(session, cues) {
+  const tracks = session.tracks.slice().sort((a, b) => a - b);
+  const escape = value => {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const header = ['index', 'start_ms', 'end_ms', ...tracks.map(track => `track_${track}`)];
+  const rows = cues.map((cue, index) => [
+    index + 1,
+    cue.start,
+    cueEnd(cues, index),
+    ...tracks.map(track => cue.lines.filter(line => line.track === track).map(line => line.text).join('\n'))
+  ]);
+
+  // BOM so spreadsheet apps read Japanese text as UTF-8
+  return '\uFEFF' + [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+}
+
 // Save settings to storage and send to background
 async function saveSettings() {
   try {
-    // Save to storage
-    await chrome.storage.sync.set(settings);
-    console.log('Settings saved:', settings);
+    // Save to storage, secrets to this device only
+    await writeSettings(settings);
+    console.log('Settings saved');
 
     // Notify background
     await chrome.runtime.sendMessage({
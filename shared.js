@@ -0,0 +1,187 @@
+// asbplayer Subtitle Streamer - Shared Helpers
+// Loaded by the service worker (importScripts) and the popup (<script>), so the
+// popup's previews match what is actually sent and both store settings alike
+
+// ==================== Request Templates ====================
+
+// HTTP destinations can send each subtitle as a custom request instead of the
+// JSON message.
+
+// Placeholder values for a subtitle message
+function templateValues(message) {
+  const { video = {}, subtitle = {}, session } = message;
+  const values = {
+    text: subtitle.text || '',
+    start: subtitle.start,
+    end: subtitle.end === null ? '' : subtitle.end,
+    time: video.currentTime,
+    url: video.url || '',
+    title: session ? session.title : '',
+    timestamp: message.timestamp
+  };
+
+  // {{track0}}, {{track1}}, ... with lines of the same track joined
+  (subtitle.lines || []).forEach(line => {
+    const key = `track${line.track}`;
+    values[key] = values[key] ? `${values[key]}\n${line.text}` : line.text;
+  });
+  return values;
+}
+
+// Fill {{placeholders}}, escaping values for where they end up. Unknown ones
+// are left as they are so mistakes show up in the preview.
+function renderTemplate(template, values, escape) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in values)) {
+      return match;
+    }
+    const value = values[name] === undefined || values[name] === null ? '' : String(values[name]);
+    return escape(value);
+  });
+}
+
+// Escape values so they fit inside the body for its content type
+function templateEscaper(contentType) {
+  if (contentType.includes('json')) {
+    return value => JSON.stringify(value).slice(1, -1); // Goes inside a string literal
+  }
+  if (contentType.includes('x-www-form-urlencoded')) {
+    return encodeURIComponent;
+  }
+  return value => value;
+}
+
+// Build the request for a message, or null if templates don't cover its type
+function buildTemplateRequest(template, url, message) {
+  if (message.type !== 'subtitle') {
+    return null;
+  }
+
+  const values = templateValues(message);
+  const method = template.method || 'POST';
+  const headers = {};
+
+  // One "Name: value" per line
+  (template.headers || '').split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      const value = renderTemplate(line.slice(separator + 1).trim(), values, value => value.replace(/[\r\n]+/g, ' '));
+      headers[line.slice(0, separator).trim()] = value;
+    }
+  });
+
+  const request = {
+    url: renderTemplate(url, values, encodeURIComponent),
+    method,
+    headers,
+    body: undefined
+  };
+
+  if (method !== 'GET' && method !== 'HEAD') {
+    const contentType = template.contentType || 'application/json';
+    headers['Content-Type'] = contentType;
+    request.body = renderTemplate(template.body || '', values, templateEscaper(contentType));
+  }
+  return request;
+}
+
+// Whether a request sets a header, whatever its case
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+}
+
+// ==================== Routing Rules ====================
+
+// Whole lines that are only sound effects or reactions: [music], (door closes), （笑）, ♪～
+const SOUND_EFFECT_PATTERN = /^(?:\s*(?:\[[^\]]*\]|［[^］]*］|【[^】]*】|\([^)]*\)|（[^）]*）|[♪♫♬～〜]+))+\s*$/;
+
+// Rule with its patterns compiled, or null if one of them is invalid
+function compileRule(rule) {
+  const includePattern = compileRulePattern(rule.include);
+  const excludePattern = compileRulePattern(rule.exclude);
+  if (includePattern === undefined || excludePattern === undefined) {
+    return null;
+  }
+  return { ...rule, includePattern, excludePattern };
+}
+
+// Case-insensitive pattern, null if empty, undefined if invalid
+function compileRulePattern(pattern) {
+  if (!pattern) {
+    return null;
+  }
+  try {
+    return new RegExp(pattern, 'iu');
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// The first condition of a compiled rule that a line fails, or null if it matches
+function ruleMismatch(rule, line) {
+  const tracks = rule.tracks || [];
+  if (tracks.length > 0 && !tracks.includes(line.track)) {
+    return `track ${line.track} is not one of ${tracks.join(', ')}`;
+  }
+  if ((rule.excludeTracks || []).includes(line.track)) {
+    return `track ${line.track} is excluded`;
+  }
+  if (rule.includePattern && !rule.includePattern.test(line.text)) {
+    return 'text does not match';
+  }
+  if (rule.excludePattern && rule.excludePattern.test(line.text)) {
+    return 'text matches the exclude pattern';
+  }
+  if (line.text.replace(/\s/g, '').length < (rule.minLength || 0)) {
+    return `shorter than ${rule.minLength} characters`;
+  }
+  if (rule.dropSoundEffects && SOUND_EFFECT_PATTERN.test(line.text)) {
+    return 'sound effect';
+  }
+  return null;
+}
+
+// ==================== Secrets ====================
+
+// Shared secrets stay in this device's local storage instead of syncing with
+// the rest of the settings. In memory, each destination keeps its secret.
+const SECRETS_KEY = 'secrets';
+
+// Destinations with their secrets blanked, and the secrets by destination id
+function splitSecrets(destinations) {
+  const secrets = {};
+  const stripped = (destinations || []).map(destination => {
+    if (destination.secret) {
+      secrets[destination.id] = destination.secret;
+    }
+    return { ...destination, secret: '' };
+  });
+  return { destinations: stripped, secrets };
+}
+
+// Destinations with their local secrets, keeping any older versions synced
+function mergeSecrets(destinations, secrets) {
+  return (destinations || []).map(destination => ({
+    ...destination,
+    secret: secrets[destination.id] || destination.secret || ''
+  }));
+}
+
+// Settings from sync storage with the secrets from local storage merged in
+async function readSettings(defaults) {
+  const [stored, local] = await Promise.all([
+    chrome.storage.sync.get(defaults),
+    chrome.storage.local.get(SECRETS_KEY)
+  ]);
+  if (stored.destinations) {
+    stored.destinations = mergeSecrets(stored.destinations, local[SECRETS_KEY] || {});
+  }
+  return stored;
+}
+
+// Save settings to sync storage and their secrets to local storage
+async function writeSettings(settings) {
+  const { destinations, secrets } = splitSecrets(settings.destinations);
+  await chrome.storage.local.set({ [SECRETS_KEY]: secrets });
+  await chrome.storage.sync.set({ ...settings, destinations });
+}
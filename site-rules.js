@@ -0,0 +1,36 @@
+// asbplayer Subtitle Streamer - Site Rules
+// Loaded before content.js and by the popup, so "Disable on This Site" agrees
+// with where the content script runs
+
+// Check a host against the active allow or deny list
+function isSiteAllowed(host, settings) {
+  const { siteMode, siteAllowlist, siteDenylist } = settings;
+
+  if (siteMode === 'allowlist') {
+    return siteAllowlist.some(pattern => matchesHostPattern(host, pattern));
+  }
+  if (siteMode === 'denylist') {
+    return !siteDenylist.some(pattern => matchesHostPattern(host, pattern));
+  }
+  return true;
+}
+
+// Match a host against a pattern like "netflix.com" or "*.example.com"
+function matchesHostPattern(host, pattern) {
+  const normalized = pattern.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:].*$/, '');
+  if (!normalized) {
+    return false;
+  }
+
+  // "*.example.com" also covers "example.com" itself
+  if (normalized.startsWith('*.') && host === normalized.slice(2)) {
+    return true;
+  }
+
+  const regex = new RegExp('^' + normalized.split('*').map(part =>
+    part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+  ).join('.*') + '$');
+  return regex.test(host.toLowerCase());
+}